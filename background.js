@@ -1,39 +1,102 @@
 /**
  * GHL Tab Title - Background Service Worker
- * Handles dynamic content script injection based on user-configured domains
+ * Registers the content script for user-configured domains the user granted access to
  */
 
+importScripts('domain-patterns.js');
+
 // Default storage structure
 const DEFAULT_SETTINGS = {
     domains: [],
+    brands: {},
+    titleTemplate: '{context} · {module} | {brand}',
+    templates: {},
+    showUnsavedMarker: true,
+    unsavedMarker: '●',
+    showUnreadCount: true,
+    unreadDomains: {},
+    brandIcons: {},
+    groupTabs: false,
+    markDuplicates: true,
+    privacyMask: 'label',
+    privacyHideBrand: false,
     enabled: true
 };
 
+// Brand names that used to be built into the content script, kept for
+// users updating from that version
+const LEGACY_BRANDS = {
+    'IgHEOk98NvraO0gtWVaL': 'FedImpact',
+    '8K55T8slMH0JRhCDHBEW': 'ProFeds'
+};
+
+// Action badge on tabs showing an entity that is open in another tab
+const DUPLICATE_BADGE = '⧉';
+const DUPLICATE_BADGE_COLOR = '#f59e0b';
+
+// Action badge while configured domains lack host access
+const ACCESS_BADGE = '!';
+const ACCESS_BADGE_COLOR = '#ef4444';
+
+// Unpinned entries kept in the recently visited history
+const HISTORY_LIMIT = 100;
+
+// Tab group colors, picked per location ID so a sub-account keeps its color
+const GROUP_COLORS = ['blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange', 'grey'];
+
 /**
  * Get settings from storage
  */
 async function getSettings() {
     const result = await chrome.storage.sync.get('settings');
-    return result.settings || DEFAULT_SETTINGS;
+    return { ...DEFAULT_SETTINGS, ...result.settings };
 }
 
 /**
- * Check if a URL matches any configured domain
+ * Create a queue that runs async jobs one at a time, so read-modify-write
+ * updates of a storage key can't overwrite each other
  */
-function matchesDomain(url, domains) {
-    try {
-        const urlObj = new URL(url);
-        const hostname = urlObj.hostname.toLowerCase();
+function createWorkQueue() {
+    let tail = Promise.resolve();
+    return work => {
+        const result = tail.then(work);
+        tail = result.catch(() => { });
+        return result;
+    };
+}
 
-        return domains.some(domain => {
-            const normalizedDomain = domain.toLowerCase().trim();
-            return hostname === normalizedDomain || hostname.endsWith('.' + normalizedDomain);
-        });
-    } catch (e) {
-        return false;
-    }
+// Learned brand names reported by content scripts in every frame and tab
+const queueBrandWork = createWorkQueue();
+
+/**
+ * Store a sub-account name learned by a content script
+ */
+async function learnBrand(locationId, name) {
+    const result = await chrome.storage.local.get('learnedBrands');
+    const learnedBrands = result.learnedBrands || {};
+    if (learnedBrands[locationId] === name) return;
+
+    learnedBrands[locationId] = name;
+    await chrome.storage.local.set({ learnedBrands });
+}
+
+/**
+ * Check if a URL matches the configured domain patterns
+ */
+function matchesDomain(url, domains) {
+    return GHLDomainPatterns.matches(url, domains);
 }
 
+// Content script registered for the user's custom domains
+const CONTENT_SCRIPT_ID = 'ghl-tab-title-custom-domains';
+const CONTENT_SCRIPT_FILES = [
+    'domain-patterns.js',
+    'title-template.js',
+    'extraction-rules.js',
+    'element-picker.js',
+    'content.js'
+];
+
 /**
  * Inject content script into a tab and all its iframes
  */
@@ -41,7 +104,7 @@ async function injectContentScript(tabId) {
     try {
         await chrome.scripting.executeScript({
             target: { tabId, allFrames: true },
-            files: ['content.js']
+            files: CONTENT_SCRIPT_FILES
         });
         console.log('[GHL Tab Title] Injected into tab and all frames:', tabId);
     } catch (e) {
@@ -51,41 +114,572 @@ async function injectContentScript(tabId) {
 }
 
 /**
- * Handle tab updates
+ * Get the host permission match patterns the user has granted for their domains
  */
-async function handleTabUpdate(tabId, changeInfo, tab) {
-    // Only act on complete page loads or URL changes
-    if (changeInfo.status !== 'complete' && !changeInfo.url) return;
+async function getGrantedOrigins(domains) {
+    const origins = [...new Set(domains.flatMap(domain => GHLDomainPatterns.toOriginPatterns(domain)))];
+    const granted = [];
+
+    for (const origin of origins) {
+        if (await chrome.permissions.contains({ origins: [origin] })) {
+            granted.push(origin);
+        }
+    }
+    return granted;
+}
+
+// Registration updates from installs, settings and permission changes; two at
+// once would both see no script and the second register would fail
+const queueRegistrationWork = createWorkQueue();
 
+/**
+ * Register (or update / remove) the content script for granted custom domains
+ */
+function syncContentScriptRegistration() {
+    return queueRegistrationWork(updateContentScriptRegistration);
+}
+
+async function updateContentScriptRegistration() {
     const settings = await getSettings();
+    const origins = settings.enabled ? await getGrantedOrigins(settings.domains) : [];
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
 
-    if (!settings.enabled) return;
-    if (!tab.url) return;
-    if (!matchesDomain(tab.url, settings.domains)) return;
+    if (origins.length === 0) {
+        if (existing.length > 0) {
+            await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+        }
+        return;
+    }
 
-    await injectContentScript(tabId);
+    const script = {
+        id: CONTENT_SCRIPT_ID,
+        matches: origins,
+        js: CONTENT_SCRIPT_FILES,
+        runAt: 'document_idle',
+        allFrames: true,
+        persistAcrossSessions: true
+    };
+
+    if (existing.length > 0) {
+        await chrome.scripting.updateContentScripts([script]);
+    } else {
+        await chrome.scripting.registerContentScripts([script]);
+    }
+    console.log('[GHL Tab Title] Registered content script for:', origins);
 }
 
-// Listen for tab updates
-chrome.tabs.onUpdated.addListener(handleTabUpdate);
+/**
+ * Flag the toolbar button while configured domains lack host access, so
+ * users updating from the all-sites version (or getting domains through
+ * sync) know to grant it from the popup
+ */
+async function updateAccessBadge() {
+    const settings = await getSettings();
+    const origins = new Set(settings.domains.flatMap(domain => GHLDomainPatterns.toOriginPatterns(domain)));
+    const granted = await getGrantedOrigins(settings.domains);
+    const missing = settings.enabled && granted.length < origins.size;
 
-// Listen for settings changes and re-inject if needed
-chrome.storage.onChanged.addListener(async (changes, areaName) => {
-    if (areaName !== 'sync' || !changes.settings) return;
+    await chrome.action.setBadgeText({ text: missing ? ACCESS_BADGE : '' });
+    if (missing) {
+        await chrome.action.setBadgeBackgroundColor({ color: ACCESS_BADGE_COLOR });
+    }
+    const name = chrome.runtime.getManifest().name;
+    await chrome.action.setTitle({ title: missing ? `${name} - some domains need access` : name });
+}
 
-    const newSettings = changes.settings.newValue || DEFAULT_SETTINGS;
+/**
+ * Get the tabs that reported a live content script, as tab ID -> page origin
+ * (kept in session storage since the service worker can be suspended)
+ */
+async function getLiveTabs() {
+    const result = await chrome.storage.session.get('liveTabs');
+    return result.liveTabs || {};
+}
 
-    if (!newSettings.enabled) return;
+// Live-tab updates from tabs reporting, closing and not answering
+const queueLiveTabWork = createWorkQueue();
+
+/**
+ * Record a tab's live content script origin, or null when it has none
+ */
+function setTabLive(tabId, origin) {
+    return queueLiveTabWork(async () => {
+        const liveTabs = await getLiveTabs();
+        if (origin) {
+            liveTabs[tabId] = origin;
+        } else {
+            delete liveTabs[tabId];
+        }
+        await chrome.storage.session.set({ liveTabs });
+    });
+}
+
+/**
+ * Get the origin of a URL, or null
+ */
+function getOrigin(url) {
+    try {
+        return new URL(url).origin;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Send a message to a tab's content script; false when the tab has none
+ * (a script that got the message but sent no answer still counts as live)
+ */
+async function sendToTab(tabId, message) {
+    try {
+        return await chrome.tabs.sendMessage(tabId, message) ?? true;
+    } catch (e) {
+        return !String(e?.message).includes('Receiving end does not exist');
+    }
+}
+
+/**
+ * Check if a tab has a live content script
+ */
+async function pingTab(tabId) {
+    const response = await sendToTab(tabId, { type: 'GHL_PING' });
+    return Boolean(response?.ready);
+}
+
+/**
+ * Inject into open tabs on newly added domains (registered scripts only
+ * run on page loads); running scripts get changes from pushSettingsToTabs
+ */
+async function injectIntoOpenTabs() {
+    const settings = await getSettings();
+    if (!settings.enabled) return;
 
-    // Re-inject into all matching tabs when domains change
     const tabs = await chrome.tabs.query({});
+
     for (const tab of tabs) {
-        if (tab.url && matchesDomain(tab.url, newSettings.domains)) {
+        if (!tab.url || !matchesDomain(tab.url, settings.domains)) continue;
+
+        // Live-tab records can be stale after a navigation, so ask the tab
+        if (await pingTab(tab.id)) {
+            await setTabLive(tab.id, getOrigin(tab.url));
+        } else {
+            await setTabLive(tab.id, null);
             await injectContentScript(tab.id);
         }
     }
+}
+
+/**
+ * Tell live content scripts to restore their page when the extension is
+ * disabled or their domain was removed (the tab may have lost host access,
+ * so the origin recorded at startup is used instead of the tab URL)
+ */
+async function teardownTabs(oldSettings, settings) {
+    const oldDomains = oldSettings?.domains || [];
+    const liveTabs = await getLiveTabs();
+
+    for (const [tabId, origin] of Object.entries(liveTabs)) {
+        const removed = GHLDomainPatterns.matches(origin, oldDomains, true) &&
+            !GHLDomainPatterns.matches(origin, settings.domains, true);
+        if (settings.enabled && !removed) continue;
+
+        if (!await sendToTab(Number(tabId), { type: 'GHL_TEARDOWN' })) {
+            await setTabLive(Number(tabId), null);
+        }
+    }
+}
+
+/**
+ * Tell live content scripts to re-read settings and rules, and forget
+ * tabs whose script is gone
+ */
+async function pushSettingsToTabs() {
+    const liveTabs = await getLiveTabs();
+
+    for (const tabId of Object.keys(liveTabs)) {
+        if (!await sendToTab(Number(tabId), { type: 'GHL_SETTINGS_UPDATED' })) {
+            await setTabLive(Number(tabId), null);
+        }
+    }
+}
+
+/**
+ * Get the popup's per-tab overrides and paused sites
+ * (session storage, so they end with the browser session)
+ */
+async function getOverrides() {
+    const result = await chrome.storage.session.get(['tabOverrides', 'pausedSites']);
+    return {
+        tabs: result.tabOverrides || {},
+        sites: result.pausedSites || []
+    };
+}
+
+/**
+ * Resolve the override for one tab and page origin
+ */
+function getTabOverride(overrides, tabId, origin) {
+    const tabOverride = overrides.tabs[tabId] || {};
+    let host = null;
+    try {
+        host = new URL(origin).hostname;
+    } catch (e) { }
+
+    return {
+        paused: Boolean(tabOverride.paused),
+        sitePaused: Boolean(host && overrides.sites.includes(host)),
+        manualTitle: tabOverride.manualTitle || null
+    };
+}
+
+/**
+ * Send every live tab its current override
+ */
+async function pushOverridesToTabs() {
+    const overrides = await getOverrides();
+    const liveTabs = await getLiveTabs();
+
+    for (const [tabId, origin] of Object.entries(liveTabs)) {
+        await sendToTab(Number(tabId), {
+            type: 'GHL_OVERRIDE',
+            override: getTabOverride(overrides, tabId, origin)
+        });
+    }
+}
+
+/**
+ * Forget a closed tab's override
+ */
+async function removeTabOverride(tabId) {
+    const overrides = await getOverrides();
+    if (!(tabId in overrides.tabs)) return;
+
+    delete overrides.tabs[tabId];
+    await chrome.storage.session.set({ tabOverrides: overrides.tabs });
+}
+
+/**
+ * Get the tab groups this extension created, as "windowId:locationId" -> group ID
+ * (manually created groups are never in here, so their tabs are left alone)
+ */
+async function getManagedGroups() {
+    const result = await chrome.storage.session.get('managedGroups');
+    return result.managedGroups || {};
+}
+
+/**
+ * Pick a stable group color for a location ID
+ */
+function getGroupColor(locationId) {
+    let hash = 0;
+    for (const char of locationId) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return GROUP_COLORS[hash % GROUP_COLORS.length];
+}
+
+/**
+ * Check if a managed group still exists
+ */
+async function groupExists(groupId) {
+    try {
+        await chrome.tabGroups.get(groupId);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Tab reports are handled one at a time, so the index isn't overwritten
+// and two tabs can't each create the same group
+const queueTabWork = createWorkQueue();
+
+/**
+ * Get what each GHL tab shows, as tab ID -> { locationId, brandName, context, title }
+ */
+async function getTabIndex() {
+    const result = await chrome.storage.session.get('tabIndex');
+    return result.tabIndex || {};
+}
+
+/**
+ * Record a tab's report in the index and history, group it when its sub-account
+ * changed, and tell whether it duplicates another tab
+ */
+async function handleTabInfo(tabId, info) {
+    const tabIndex = await getTabIndex();
+    const previous = tabIndex[tabId];
+    tabIndex[tabId] = info;
+    await chrome.storage.session.set({ tabIndex });
+
+    if (previous?.context?.entity !== info.context?.entity || previous?.url !== info.url) {
+        await recordEntityVisit(info);
+    }
+    if (!previous || previous.locationId !== info.locationId || previous.brandName !== info.brandName) {
+        await groupTabBySubAccount(tabId, info.locationId, info.brandName);
+    }
+
+    // Always answered, so a reloaded tab learns it is a duplicate again
+    const duplicates = await updateDuplicateTabs();
+    return duplicates.includes(tabId);
+}
+
+/**
+ * Add an entity (contact, workflow, form, ...) to the recently visited history,
+ * replacing an earlier visit to the same entity
+ */
+async function recordEntityVisit(info) {
+    const entity = info.context?.entity;
+    // Names masked in privacy mode aren't worth remembering
+    if (!entity || !info.url || info.context.masked) return;
+
+    const result = await chrome.storage.local.get('entityHistory');
+    const history = result.entityHistory || [];
+    // Two contacts can share a name, so key on what identifies the record
+    const key = info.entityId ? [info.locationId, info.entityId].join('|') : info.url;
+    const previous = history.find(entry => entry.key === key);
+
+    const entry = {
+        key,
+        entity,
+        module: info.context.module || null,
+        brandName: info.brandName || null,
+        locationId: info.locationId || null,
+        url: info.url,
+        visitedAt: Date.now(),
+        pinned: Boolean(previous?.pinned)
+    };
+
+    // Newest first; pinned entries don't count towards the limit
+    let unpinned = entry.pinned ? 0 : 1;
+    const others = history.filter(item => {
+        if (item.key === key) return false;
+        if (item.pinned) return true;
+        unpinned++;
+        return unpinned <= HISTORY_LIMIT;
+    });
+    await chrome.storage.local.set({ entityHistory: [entry, ...others] });
+}
+
+/**
+ * Key identifying the entity a tab shows, or null on list pages
+ */
+function getEntityKey(info) {
+    return info.locationId && info.entityId ? `${info.locationId}:${info.entityId}` : null;
+}
+
+/**
+ * Find tabs showing an entity that is also open in another tab, badge them
+ * and tell their content scripts (to flag the title)
+ */
+async function updateDuplicateTabs() {
+    const tabIndex = await getTabIndex();
+    const tabsByEntity = new Map();
+    for (const [tabId, info] of Object.entries(tabIndex)) {
+        const key = getEntityKey(info);
+        if (!key) continue;
+        if (!tabsByEntity.has(key)) tabsByEntity.set(key, []);
+        tabsByEntity.get(key).push(Number(tabId));
+    }
+
+    const duplicates = [...tabsByEntity.values()]
+        .filter(tabIds => tabIds.length > 1)
+        .flat();
+
+    const result = await chrome.storage.session.get('duplicateTabs');
+    const previous = result.duplicateTabs || [];
+    const changed = [
+        ...duplicates.filter(tabId => !previous.includes(tabId)),
+        ...previous.filter(tabId => !duplicates.includes(tabId))
+    ];
+    await chrome.storage.session.set({ duplicateTabs: duplicates });
+
+    for (const tabId of changed) {
+        const duplicate = duplicates.includes(tabId);
+        try {
+            // null falls back to the global badge (the access warning), whose
+            // color the tab has to be given back by hand
+            await chrome.action.setBadgeText({ tabId, text: duplicate ? DUPLICATE_BADGE : null });
+            await chrome.action.setBadgeBackgroundColor({
+                tabId,
+                color: duplicate ? DUPLICATE_BADGE_COLOR : ACCESS_BADGE_COLOR
+            });
+        } catch (e) {
+            // Tab already closed
+        }
+        await sendToTab(tabId, { type: 'GHL_DUPLICATE', duplicate });
+    }
+    return duplicates;
+}
+
+/**
+ * Forget a tab that closed, navigated or stopped retitling
+ */
+async function removeFromTabIndex(tabId) {
+    const tabIndex = await getTabIndex();
+    if (!(tabId in tabIndex)) return;
+
+    delete tabIndex[tabId];
+    await chrome.storage.session.set({ tabIndex });
+    await updateDuplicateTabs();
+}
+
+/**
+ * Group every indexed tab, after grouping was switched on
+ */
+async function groupIndexedTabs() {
+    const tabIndex = await getTabIndex();
+    for (const [tabId, info] of Object.entries(tabIndex)) {
+        await groupTabBySubAccount(Number(tabId), info.locationId, info.brandName);
+    }
+}
+
+/**
+ * Move a tab into the tab group of the sub-account it shows, creating the group if needed
+ */
+async function groupTabBySubAccount(tabId, locationId, brandName) {
+    const settings = await getSettings();
+    if (!settings.groupTabs) return;
+
+    let tab;
+    try {
+        tab = await chrome.tabs.get(tabId);
+    } catch (e) {
+        return;
+    }
+
+    const managedGroups = await getManagedGroups();
+    const managedIds = Object.values(managedGroups);
+    const inGroup = tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE;
+
+    // Grouped by the user
+    if (inGroup && !managedIds.includes(tab.groupId)) return;
+
+    try {
+        // Left the sub-account (agency view)
+        if (!locationId) {
+            if (inGroup) await chrome.tabs.ungroup(tab.id);
+            return;
+        }
+
+        const key = `${tab.windowId}:${locationId}`;
+        let groupId = managedGroups[key];
+        if (groupId === undefined || !await groupExists(groupId)) {
+            groupId = await chrome.tabs.group({ tabIds: [tab.id], createProperties: { windowId: tab.windowId } });
+            managedGroups[key] = groupId;
+            await chrome.storage.session.set({ managedGroups });
+        } else if (tab.groupId !== groupId) {
+            await chrome.tabs.group({ tabIds: [tab.id], groupId });
+        }
+
+        await chrome.tabGroups.update(groupId, { title: brandName || '', color: getGroupColor(locationId) });
+    } catch (e) {
+        // Tab closed or being dragged
+        console.log('[GHL Tab Title] Could not group tab:', tab.id, e.message);
+    }
+}
+
+// Content scripts announce themselves, ask for their tab's override, report
+// what they show (or that they show nothing), learn brand names and close
+// pickers in other frames
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.type === 'GHL_CONTENT_READY' && sender.tab) {
+        setTabLive(sender.tab.id, sender.origin || getOrigin(sender.url));
+    } else if (message?.type === 'GHL_GET_OVERRIDE' && sender.tab) {
+        // Site pauses follow the tab's page, also when an iframe asks
+        getOverrides().then(overrides => {
+            sendResponse(getTabOverride(overrides, sender.tab.id, sender.tab.url || sender.origin || sender.url));
+        });
+        return true;
+    } else if (message?.type === 'GHL_TAB_INFO' && sender.tab && message.info) {
+        queueTabWork(() => handleTabInfo(sender.tab.id, message.info))
+            .then(duplicate => sendResponse({ duplicate }), () => sendResponse({ duplicate: false }));
+        return true;
+    } else if (message?.type === 'GHL_TAB_CLEAR' && sender.tab) {
+        queueTabWork(() => removeFromTabIndex(sender.tab.id)).catch(() => { });
+    } else if (message?.type === 'GHL_LEARN_BRAND' &&
+        typeof message.locationId === 'string' && typeof message.name === 'string') {
+        queueBrandWork(() => learnBrand(message.locationId, message.name)).catch(() => { });
+    } else if (message?.type === 'GHL_PICKER_DONE' && sender.tab) {
+        sendToTab(sender.tab.id, { type: 'GHL_STOP_PICKER' });
+    }
 });
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+    setTabLive(tabId, null);
+    removeTabOverride(tabId);
+    queueTabWork(() => removeFromTabIndex(tabId)).catch(() => { });
+});
+
+// Listen for settings and rule changes, push them to running scripts, keep
+// the registration in sync and start or tear down tabs
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'sync' || !(changes.settings || changes.extractionRules)) return;
+
+    if (!changes.settings) {
+        await pushSettingsToTabs();
+        return;
+    }
+
+    const settings = { ...DEFAULT_SETTINGS, ...changes.settings.newValue };
+    if (settings.groupTabs && !changes.settings.oldValue?.groupTabs) {
+        queueTabWork(groupIndexedTabs).catch(() => { });
+    }
+    await teardownTabs(changes.settings.oldValue, settings);
+    await pushSettingsToTabs();
+    await syncContentScriptRegistration();
+    await updateAccessBadge();
+    await injectIntoOpenTabs();
+});
+
+// Overrides changed from the popup
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName !== 'session' || !(changes.tabOverrides || changes.pausedSites)) return;
+
+    await pushOverridesToTabs();
+});
+
+// Keyboard shortcut for privacy mode, on this machine only; open tabs
+// re-title through the storage change
+chrome.commands.onCommand.addListener(async (command) => {
+    if (command !== 'toggle-privacy-mode') return;
+
+    const local = await chrome.storage.local.get('privacyMode');
+    const privacyMode = !local.privacyMode;
+    await chrome.storage.local.set({ privacyMode });
+    console.log('[GHL Tab Title] Privacy mode:', privacyMode ? 'on' : 'off');
+});
+
+// Host permissions granted or revoked, from the popup or chrome://extensions
+chrome.permissions.onAdded.addListener(async () => {
+    await syncContentScriptRegistration();
+    await updateAccessBadge();
+});
+chrome.permissions.onRemoved.addListener(async () => {
+    await syncContentScriptRegistration();
+    await updateAccessBadge();
+});
+
+// The global badge doesn't survive a browser restart
+chrome.runtime.onStartup.addListener(updateAccessBadge);
+
+/**
+ * Copy the formerly built-in brand names into the user's mapping, once
+ * (brands the user already named are left alone)
+ */
+async function migrateLegacyBrands() {
+    const local = await chrome.storage.local.get('legacyBrandsMigrated');
+    if (local.legacyBrandsMigrated) return;
+
+    const settings = await getSettings();
+    const missing = Object.entries(LEGACY_BRANDS).filter(([locationId]) => !settings.brands[locationId]);
+    if (missing.length > 0) {
+        settings.brands = { ...settings.brands, ...Object.fromEntries(missing) };
+        await chrome.storage.sync.set({ settings });
+        console.log('[GHL Tab Title] Migrated built-in brand names:', missing.map(([, name]) => name));
+    }
+    await chrome.storage.local.set({ legacyBrandsMigrated: true });
+}
+
 // Handle extension install/update
 chrome.runtime.onInstalled.addListener(async (details) => {
     console.log('[GHL Tab Title] Installed/Updated:', details.reason);
@@ -93,7 +687,12 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     // Initialize settings if first install
     if (details.reason === 'install') {
         await chrome.storage.sync.set({ settings: DEFAULT_SETTINGS });
+    } else if (details.reason === 'update') {
+        await migrateLegacyBrands();
     }
+
+    await syncContentScriptRegistration();
+    await updateAccessBadge();
 });
 
 console.log('[GHL Tab Title] Service worker initialized');
@@ -14,12 +14,62 @@
     const CONFIG = {
         updateDebounceMs: 200,
         observerDebounceMs: 150,
-        titleSeparator: ' | ',
-        locationNames: {
-            'IgHEOk98NvraO0gtWVaL': 'FedImpact',
-            '8K55T8slMH0JRhCDHBEW': 'ProFeds'
-        },
         defaultBrandName: 'GHL',
+        subViewSelectors: [
+            '[role="tab"][aria-selected="true"]',
+            '.n-tabs-tab--active .n-tabs-tab__label',
+            '.hl-tabs .active'
+        ],
+        subViewSkipWords: ['detail', 'edit', 'new', 'v2'],
+        locationNameSelectors: [
+            '#location-switcher-sidbar-v2 .hl_switcher-loc-name',
+            '.hl_switcher-loc-name',
+            '#location-switcher-sidbar-v2 .hl_text-overflow',
+            '.hl_nav-header .hl_text-overflow'
+        ],
+        builderPaths: ['/workflow', '/form-builder'],
+        unsavedSelectors: [
+            '[data-testid="unsaved-changes"]',
+            '.unsaved-changes',
+            '[class*="unsaved-indicator"]'
+        ],
+        savedSelectors: [
+            '[data-testid="saved-status"]',
+            '[class*="saved-indicator"]:not([class*="unsaved"])'
+        ],
+        saveButtonSelectors: [
+            '#cmp-header__btn--save-workflow',
+            '[data-testid="save-workflow"]',
+            '.builder-header .save-button',
+            'button#save-form'
+        ],
+        defaultUnsavedMarker: '●',
+        duplicateMarker: '⧉',
+        privacyLabel: 'Contact',
+        unreadSelectors: [
+            '[data-testid="conversations-unread-count"]',
+            '#sb_conversations .hl_nav-badge',
+            '#sb_conversations .badge',
+            '.conversations-unread-count',
+            '.hl_header--notification .badge'
+        ],
+        faviconSize: 32,
+        defaultIconColor: '#6366f1',
+        strategyPriority: {
+            rule: 5,
+            extractFromActiveNavItem: 3,
+            extractFromBreadcrumb: 3,
+            extractFromPageHeader: 2,
+            extractFromUrlPath: 1
+        },
+        rearbitrateMs: 5000,
+        messageProtocol: 'ghl-tab-title',
+        messageVersion: 1,
+        trustedHosts: [
+            'leadconnectorhq.com',
+            'gohighlevel.com',
+            'highlevel.co'
+        ],
         skipHosts: [
             'firebaseapp.com',
             'googleapis.com',
@@ -31,6 +81,72 @@
     // Cache for brand name (can be set by parent window)
     let cachedBrandName = null;
 
+    // Current user settings (loaded from storage)
+    let currentSettings = {};
+
+    // Page extraction rules (loaded from storage)
+    let extractionRules = GHLExtractionRules.DEFAULT_RULES;
+
+    const { isHumanReadable } = GHLExtractionRules;
+
+    // Title the page set itself, before or between our updates
+    let originalTitle = document.title;
+    let appliedTitle = null;
+
+    // Location ID reported by the parent window
+    let parentLocationId = null;
+
+    // Per-tab secret handed out by the top window to trusted iframes
+    const tabNonce = isInIframe() ? null : createNonce();
+    let frameNonce = null;
+
+    // Set while the top window holds a title candidate from this frame (in iframes)
+    let hasPostedCandidate = false;
+
+    // Set while this page is being retitled (see start() / teardown())
+    let isActive = false;
+
+    // Observers and timers to release on teardown
+    const observers = [];
+    const timers = [];
+
+    // Pause and manual title set from the popup for this tab (in top window)
+    let tabOverride = { paused: false, sitePaused: false, manualTitle: null };
+
+    // Latest title candidate per frame, keyed by window (in top window)
+    const frameCandidates = new Map();
+
+    // Location ID -> brand name mapping (loaded from storage)
+    let brandNames = {};
+
+    // Location ID -> brand name learned from the GHL UI (loaded from storage)
+    let learnedBrandNames = {};
+
+    // Privacy mode, kept per machine in local storage
+    let privacyMode = false;
+
+    // Location the switcher text was last read for, the text it showed, and
+    // the text still left over from the previous location
+    const brandLearning = { locationId: null, name: null, staleName: null };
+
+    // Favicon the page set itself, and the badged one we replaced it with
+    const faviconState = {
+        originalHref: null,
+        appliedHref: null,
+        key: null,
+        request: null
+    };
+
+    // Tab info last reported to the background worker (in top window)
+    let reportedTabInfo = null;
+
+    // Set by the background worker when this entity is open in another tab (in top window)
+    let isDuplicateTab = false;
+
+    // Builder edits typed since the last load or save
+    let editedSinceSave = false;
+    let editedUrl = null;
+
     /**
      * Check if current host should be skipped
      */
@@ -50,6 +166,80 @@
         }
     }
 
+    /**
+     * Generate a random per-tab nonce
+     */
+    function createNonce() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Check if a message origin is a GHL host or a configured domain
+     */
+    function isTrustedOrigin(origin) {
+        if (!origin || origin === 'null') return false;
+        if (origin === window.location.origin) return true;
+
+        const domains = [...CONFIG.trustedHosts, ...(currentSettings.domains || [])];
+        return GHLDomainPatterns.matches(origin, domains, true);
+    }
+
+    /**
+     * Check if this page is a GHL host or matches the configured domain patterns
+     * (registered scripts match whole hosts, so path and exclude patterns apply here)
+     */
+    function isAllowedPage() {
+        const url = window.location.href;
+        const domains = currentSettings.domains || [];
+
+        if (currentSettings.enabled === false) return false;
+        if (tabOverride.paused || tabOverride.sitePaused) return false;
+
+        if (GHLDomainPatterns.matches(url, CONFIG.trustedHosts)) {
+            return !domains.some(pattern =>
+                GHLDomainPatterns.isExclude(pattern) && GHLDomainPatterns.matchesPattern(url, pattern));
+        }
+        return GHLDomainPatterns.matches(url, domains);
+    }
+
+    /**
+     * Get the parent window's origin (in iframes)
+     */
+    function getParentOrigin() {
+        try {
+            if (window.location.ancestorOrigins?.length) {
+                return window.location.ancestorOrigins[0];
+            }
+            if (document.referrer) {
+                return new URL(document.referrer).origin;
+            }
+        } catch (e) { }
+        return null;
+    }
+
+    /**
+     * Send a versioned protocol message to a specific origin
+     */
+    function postProtocolMessage(target, targetOrigin, type, payload = {}) {
+        target.postMessage({
+            protocol: CONFIG.messageProtocol,
+            version: CONFIG.messageVersion,
+            type: type,
+            ...payload
+        }, targetOrigin);
+    }
+
+    /**
+     * Check if a message event belongs to our protocol and comes from a trusted origin
+     */
+    function isProtocolMessage(event) {
+        return event.data?.protocol === CONFIG.messageProtocol &&
+            event.data.version === CONFIG.messageVersion &&
+            isTrustedOrigin(event.origin);
+    }
+
     /**
      * Check if we're in a leadconnectorhq.com iframe
      */
@@ -62,15 +252,22 @@
      * Extract location ID from URL path
      */
     function getLocationId() {
+        return findLocationId().id;
+    }
+
+    /**
+     * Find the location ID and where it came from
+     */
+    function findLocationId() {
         // Try current window's URL
         let match = window.location.pathname.match(/\/(?:v2\/)?location\/([^\/]+)/);
-        if (match) return match[1];
+        if (match) return { id: match[1], source: 'path' };
 
         // Try referrer (often contains the parent URL)
         try {
             if (document.referrer) {
                 match = document.referrer.match(/\/(?:v2\/)?location\/([^\/]+)/);
-                if (match) return match[1];
+                if (match) return { id: match[1], source: 'referrer' };
             }
         } catch (e) { }
 
@@ -78,26 +275,36 @@
         try {
             if (window.parent !== window) {
                 match = window.parent.location.pathname.match(/\/(?:v2\/)?location\/([^\/]+)/);
-                if (match) return match[1];
+                if (match) return { id: match[1], source: 'parent URL' };
             }
         } catch (e) { }
 
-        return null;
+        // Reported by the parent window
+        return { id: parentLocationId, source: parentLocationId ? 'parent frame' : null };
     }
 
     /**
      * Get brand name based on location ID
      */
     function getBrandName() {
-        // Use cached value if available (set by parent)
-        if (cachedBrandName) return cachedBrandName;
-
         const locationId = getLocationId();
-        if (locationId && CONFIG.locationNames[locationId]) {
-            cachedBrandName = CONFIG.locationNames[locationId];
-            return cachedBrandName;
+        if (locationId && brandNames[locationId]) {
+            return brandNames[locationId];
         }
-        return CONFIG.defaultBrandName;
+        if (locationId && learnedBrandNames[locationId]) {
+            return learnedBrandNames[locationId];
+        }
+
+        // Fall back to the value reported by the parent window
+        return cachedBrandName || CONFIG.defaultBrandName;
+    }
+
+    /**
+     * Get the app section (Contacts, Automation, ...) from the URL path
+     */
+    function getSection() {
+        const match = window.location.pathname.match(/\/(?:v2\/)?location\/[^\/]+\/([^\/]+)/);
+        return match ? formatPathSegment(match[1]) : null;
     }
 
     // Skip execution on system iframes
@@ -106,52 +313,40 @@
     }
 
     /**
-     * Extract page context
+     * Apply user settings from storage
      */
-    function extractPageContext() {
-        const strategies = [
-            extractFromGHLContactDetail,
-            extractFromGHLWorkflow,
-            extractFromGHLFormBuilder,
-            extractFromActiveNavItem,
-            extractFromBreadcrumb,
-            extractFromPageHeader,
-            extractFromUrlPath
-        ];
-
-        for (const strategy of strategies) {
-            try {
-                const context = strategy();
-                if (context && context.trim()) {
-                    return cleanContext(context);
-                }
-            } catch (e) { }
-        }
-
-        return null;
+    function applySettings(settings) {
+        currentSettings = settings || {};
+        brandNames = currentSettings.brands || {};
     }
 
     /**
-     * Extract contact name
+     * Load user settings from storage
      */
-    function extractFromGHLContactDetail() {
-        if (!window.location.pathname.includes('/contacts/detail/') &&
-            !window.location.href.includes('/contacts/detail/')) {
-            return null;
-        }
+    async function loadSettings() {
+        try {
+            const result = await chrome.storage.sync.get('settings');
+            applySettings(result.settings);
 
-        const selectors = [
-            'p.hr-text-semibold span.hr-ellipsis',
-            '#hr-ellipsis-id',
-            '.hr-ellipsis.hr-ellipsis--line-clamp'
-        ];
+            const rules = await chrome.storage.sync.get('extractionRules');
+            extractionRules = GHLExtractionRules.fromStorage(rules.extractionRules);
 
-        for (const selector of selectors) {
+            const local = await chrome.storage.local.get(['learnedBrands', 'privacyMode']);
+            learnedBrandNames = local.learnedBrands || {};
+            privacyMode = Boolean(local.privacyMode);
+        } catch (e) { }
+    }
+
+    /**
+     * Read the sub-account name from the location switcher / sidebar header
+     */
+    function extractLocationName() {
+        for (const selector of CONFIG.locationNameSelectors) {
             const el = document.querySelector(selector);
             if (el) {
-                const text = el.textContent?.trim();
-                if (text && text.length > 1 && text.length < 100) {
-                    return text;
+                const text = getCleanText(el);
+                if (text && text.length > 1 && text.length < 60 && isHumanReadable(text)) {
+                    return cleanContext(text);
                 }
             }
         }
@@ -159,94 +354,186 @@
     }
 
     /**
-     * Extract workflow/automation name
+     * Remember the sub-account name for an unmapped location ID
+     * (stored by the background worker, so frames and tabs don't overwrite each other)
      */
-    function extractFromGHLWorkflow() {
-        const pathname = window.location.pathname;
-        if (!pathname.includes('/workflow')) {
-            return null;
+    function learnBrandName() {
+        const locationId = getLocationId();
+        const name = extractLocationName();
+
+        // After an SPA switch the URL can change before the switcher text does;
+        // wait for the text to change so the old name isn't learned for the new ID
+        if (locationId !== brandLearning.locationId) {
+            brandLearning.staleName = brandLearning.locationId ? brandLearning.name : null;
+            brandLearning.locationId = locationId;
         }
+        brandLearning.name = name;
 
-        const selectors = [
-            '#cmp-header__txt--edit-workflow-name',
-            'h1.editable-header-text',
-            '.editable-header-text',
-            '.workflow-name-input h1',
-            '.editable-header-text-mirror',
-            '.n-ellipsis h1'
-        ];
+        if (!locationId || brandNames[locationId] || !name) return;
+        if (name === brandLearning.staleName || learnedBrandNames[locationId] === name) return;
 
-        for (const selector of selectors) {
-            const el = document.querySelector(selector);
-            if (el) {
-                const text = el.textContent?.trim();
-                if (text && text.length > 3 &&
-                    text.toLowerCase() !== 'workflow' &&
-                    text.toLowerCase() !== 'workflows') {
-                    return text;
-                }
-            }
-        }
-        return null;
+        learnedBrandNames = { ...learnedBrandNames, [locationId]: name };
+        try {
+            chrome.runtime.sendMessage({ type: 'GHL_LEARN_BRAND', locationId, name }).catch(() => { });
+        } catch (e) { }
     }
 
     /**
-     * Extract form name
+     * Extract page context
+     * Returns { text, entity, module, subView } - entity is only set when a
+     * rule identified a named record (contact, workflow, form, ...), personal
+     * when that record is named after a person
      */
-    function extractFromGHLFormBuilder() {
-        const pathname = window.location.pathname;
-        if (!pathname.includes('/form-builder') && !pathname.includes('/forms/')) {
-            return null;
+    function extractPageContext(trace = null) {
+        const ruleTrace = trace && startTrace(trace, 'extractFromRules');
+        try {
+            const match = extractFromRules(ruleTrace?.attempts);
+            if (match) {
+                const entity = cleanContext(match.text);
+                return {
+                    text: entity,
+                    entity: entity,
+                    module: match.rule.module || getSection(),
+                    subView: getSubView(entity),
+                    strategy: match.rule.name,
+                    priority: CONFIG.strategyPriority.rule,
+                    personal: GHLExtractionRules.isPersonal(match.rule)
+                };
+            }
+        } catch (e) {
+            if (ruleTrace) ruleTrace.error = e.message;
         }
 
-        const selectors = [
-            '.builder-form-name > div[contenteditable="true"]',
-            '.builder-form-name div[contenteditable="true"]',
-            'div[contenteditable="true"].truncate',
-            'div[contenteditable="true"].text-lg'
+        const strategies = [
+            extractFromActiveNavItem,
+            extractFromBreadcrumb,
+            extractFromPageHeader,
+            extractFromUrlPath
         ];
 
-        for (const selector of selectors) {
-            const el = document.querySelector(selector);
-            if (el) {
-                const text = el.textContent?.trim();
-                if (text && text.length > 1 && text.length < 100 && isHumanReadable(text)) {
-                    return text;
+        for (const strategy of strategies) {
+            const strategyTrace = trace && startTrace(trace, strategy.name);
+            try {
+                const context = strategy(strategyTrace?.attempts);
+                if (context && context.trim()) {
+                    const module = getSection();
+                    return {
+                        text: cleanContext(context),
+                        entity: null,
+                        module: module,
+                        subView: null,
+                        strategy: strategy.name,
+                        priority: CONFIG.strategyPriority[strategy.name] || 0,
+                        // Without a rule, a header or breadcrumb on a Contacts /
+                        // Conversations page may well be the person's name
+                        personal: strategy !== extractFromUrlPath && GHLExtractionRules.isPersonal({ module })
+                    };
                 }
+            } catch (e) {
+                if (strategyTrace) strategyTrace.error = e.message;
             }
         }
+
         return null;
     }
 
     /**
-     * Check if text is human readable
+     * Add a strategy's entry to a diagnostics trace
+     */
+    function startTrace(trace, strategy) {
+        const entry = { strategy, attempts: [], error: null };
+        trace.push(entry);
+        return entry;
+    }
+
+    /**
+     * Check a fallback strategy's text against its limits, recording the attempt
+     */
+    function acceptText(limits, selector, text, trace) {
+        const reason = GHLExtractionRules.rejectReason(limits, text);
+        trace?.push({ selector, text, reason });
+        return !reason;
+    }
+
+    /**
+     * Run the user's extraction rules (defaults to the shipped rule set)
+     */
+    function extractFromRules(trace = null) {
+        const path = window.location.pathname + window.location.search + window.location.hash;
+        return GHLExtractionRules.run(extractionRules, path, document, trace);
+    }
+
+    /**
+     * Check if a path segment is a record ID: a UUID, or GHL's alphanumeric
+     * IDs (with a digit, or 20 mixed-case characters). Hyphenated route words
+     * such as "funnels-websites" are not.
+     */
+    function isIdSegment(segment) {
+        return /^[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}$/i.test(segment) ||
+            /^(?=.*\d)[0-9a-zA-Z]{15,}$/.test(segment) ||
+            /^(?=.*[a-z])(?=.*[A-Z])[0-9a-zA-Z]{20}$/.test(segment);
+    }
+
+    /**
+     * Split the URL path and find the entity ID in it: the last ID segment
+     * that isn't the location ID (idIndex is -1 without one)
+     */
+    function parseEntityPath() {
+        const segments = window.location.pathname.split('/').filter(s => s);
+        const locationIndex = segments.indexOf('location') + 1 || -1;
+        const idIndex = segments.map(isIdSegment).lastIndexOf(true);
+        return { segments, idIndex: idIndex === locationIndex ? -1 : idIndex };
+    }
+
+    /**
+     * Get the ID of the contact, workflow, form, ... the URL points at
+     */
+    function getEntityId() {
+        const { segments, idIndex } = parseEntityPath();
+        return idIndex >= 0 ? segments[idIndex] : null;
+    }
+
+    /**
+     * Find the sub-view of an entity page (Settings, Enrollment History, ...)
      */
-    function isHumanReadable(text) {
-        if (!text || text.length < 2) return false;
-        const noSpaces = text.replace(/\s/g, '');
-        if (/^[A-Za-z0-9]{15,}$/.test(noSpaces) && !/\s/.test(text)) {
-            return false;
+    function getSubView(entity) {
+        // Path segments after the entity ID, e.g. /workflow/<id>/enrollment-history
+        const { segments, idIndex } = parseEntityPath();
+        const trailing = segments.slice(idIndex + 1)
+            .filter(s => !CONFIG.subViewSkipWords.includes(s.toLowerCase()));
+        if (idIndex >= 0 && trailing.length > 0) {
+            return formatPathSegment(trailing[trailing.length - 1]);
+        }
+
+        // Selected tab inside the entity page
+        for (const selector of CONFIG.subViewSelectors) {
+            const text = getCleanText(document.querySelector(selector));
+            if (text && text.length > 1 && text.length < 40 && text !== entity && isHumanReadable(text)) {
+                return cleanContext(text);
+            }
         }
-        return true;
+        return null;
     }
 
     /**
      * Look for active navigation menu items
      */
-    function extractFromActiveNavItem() {
+    function extractFromActiveNavItem(trace = null) {
         const selectors = [
             '[class*="active"] [class*="menu-item-text"]',
             '[class*="active"] [class*="nav-text"]',
             '.nav-link.active',
             '[aria-current="page"]'
         ];
+        const limits = { minLength: 2, maxLength: 49, requireReadable: true };
 
         for (const selector of selectors) {
             try {
                 const elements = document.querySelectorAll(selector);
+                if (elements.length === 0) trace?.push({ selector, reason: 'no element' });
                 for (const el of elements) {
                     const text = getCleanText(el);
-                    if (text && text.length > 1 && text.length < 50 && isHumanReadable(text)) {
+                    if (acceptText(limits, selector, text, trace)) {
                         return text;
                     }
                 }
@@ -258,20 +545,23 @@
     /**
      * Look for breadcrumb navigation
      */
-    function extractFromBreadcrumb() {
+    function extractFromBreadcrumb(trace = null) {
         const selectors = [
             '[class*="breadcrumb"] li:last-child',
             '.breadcrumb-item:last-child'
         ];
+        const limits = { minLength: 2, maxLength: 49, requireReadable: true };
 
         for (const selector of selectors) {
             try {
                 const el = document.querySelector(selector);
-                if (el) {
-                    const text = getCleanText(el);
-                    if (text && text.length > 1 && text.length < 50 && isHumanReadable(text)) {
-                        return text;
-                    }
+                if (!el) {
+                    trace?.push({ selector, reason: 'no element' });
+                    continue;
+                }
+                const text = getCleanText(el);
+                if (acceptText(limits, selector, text, trace)) {
+                    return text;
                 }
             } catch (e) { }
         }
@@ -281,17 +571,20 @@
     /**
      * Look for page headers
      */
-    function extractFromPageHeader() {
+    function extractFromPageHeader(trace = null) {
         const selectors = ['main h1', '[role="main"] h1', '.page-title'];
+        const limits = { minLength: 2, maxLength: 59, requireReadable: true };
 
         for (const selector of selectors) {
             try {
                 const el = document.querySelector(selector);
-                if (el) {
-                    const text = getCleanText(el);
-                    if (text && text.length > 1 && text.length < 60 && isHumanReadable(text)) {
-                        return text;
-                    }
+                if (!el) {
+                    trace?.push({ selector, reason: 'no element' });
+                    continue;
+                }
+                const text = getCleanText(el);
+                if (acceptText(limits, selector, text, trace)) {
+                    return text;
                 }
             } catch (e) { }
         }
@@ -301,7 +594,7 @@
     /**
      * Fallback: extract context from URL path
      */
-    function extractFromUrlPath() {
+    function extractFromUrlPath(trace = null) {
         const path = window.location.pathname;
         const segments = path.split('/').filter(s => s && s.length > 0);
         const skipWords = ['v2', 'location', 'detail', 'edit', 'new', 'form-builder-v2',
@@ -309,9 +602,13 @@
 
         for (let i = segments.length - 1; i >= 0; i--) {
             const segment = segments[i];
-            if (!/^[0-9a-zA-Z-]{15,}$/i.test(segment) &&
-                !skipWords.includes(segment.toLowerCase())) {
+            if (isIdSegment(segment)) {
+                trace?.push({ selector: segment, reason: 'ID-like segment' });
+            } else if (skipWords.includes(segment.toLowerCase())) {
+                trace?.push({ selector: segment, reason: 'skip word' });
+            } else {
                 const formatted = formatPathSegment(segment);
+                trace?.push({ selector: segment, text: formatted, reason: formatted.length > 3 ? null : 'too short' });
                 if (formatted.length > 3) {
                     return formatted;
                 }
@@ -341,125 +638,1088 @@
     }
 
     /**
-     * Update the document title
+     * Check if we're in the workflow or form builder
      */
-    function updateTitle() {
-        const context = extractPageContext();
-        if (!context) return;
+    function isBuilderPage() {
+        const pathname = window.location.pathname;
+        return CONFIG.builderPaths.some(path => pathname.includes(path));
+    }
 
-        const brandName = getBrandName();
-        const newTitle = `${context}${CONFIG.titleSeparator}${brandName}`;
+    /**
+     * Check if the builder has unsaved changes: an unsaved indicator on the
+     * page, or edits typed since the last save (an enabled Save button alone
+     * doesn't count, some builders never disable it)
+     */
+    function hasUnsavedChanges() {
+        if (!isBuilderPage()) return false;
 
-        if (isInIframe()) {
-            // Send to parent window
-            try {
-                window.parent.postMessage({
-                    type: 'GHL_TAB_TITLE_UPDATE',
-                    title: newTitle,
-                    context: context,
-                    brandName: brandName
-                }, '*');
-            } catch (e) { }
-        } else {
-            // Update directly
-            if (document.title !== newTitle) {
-                document.title = newTitle;
-            }
+        // Edits made on a previous builder page don't count
+        if (editedUrl !== window.location.href) {
+            editedSinceSave = false;
+        }
+
+        const savedBadge = CONFIG.savedSelectors.some(selector => document.querySelector(selector));
+        const saveButton = CONFIG.saveButtonSelectors
+            .map(selector => document.querySelector(selector))
+            .find(el => el);
+        const saveDisabled = saveButton &&
+            (saveButton.disabled || saveButton.getAttribute('aria-disabled') === 'true');
+
+        if (savedBadge || saveDisabled) {
+            editedSinceSave = false;
         }
+
+        if (CONFIG.unsavedSelectors.some(selector => document.querySelector(selector))) return true;
+        return editedSinceSave;
     }
 
     /**
-     * Listen for messages (in top window)
+     * Mark the builder saved when the user clicks Save
      */
-    if (!isInIframe()) {
-        window.addEventListener('message', (event) => {
-            if (event.data?.type === 'GHL_TAB_TITLE_UPDATE') {
-                // Prioritize iframe updates - they have the real content
-                const newTitle = event.data.title;
-                if (newTitle) {
-                    document.title = newTitle;
-                }
-            } else if (event.data?.type === 'GHL_REQUEST_BRAND') {
-                // Child iframe requesting brand info
-                const brandName = getBrandName();
-                const locationId = getLocationId();
-                event.source.postMessage({
-                    type: 'GHL_BRAND_INFO',
-                    brandName: brandName,
-                    locationId: locationId
-                }, '*');
-            }
-        });
+    function handleBuilderSaveClick(event) {
+        if (!isBuilderPage() || !event.target.closest) return;
+        if (!CONFIG.saveButtonSelectors.some(selector => event.target.closest(selector))) return;
+        editedSinceSave = false;
+        debouncedUpdate();
     }
 
     /**
-     * Listen for brand info from parent (in iframes)
+     * Mark the builder saved on Ctrl/Cmd+S
      */
-    if (isInIframe()) {
-        window.addEventListener('message', (event) => {
-            if (event.data?.type === 'GHL_BRAND_INFO') {
-                cachedBrandName = event.data.brandName;
-                // Re-run update with new brand
-                updateTitle();
-            }
-        });
+    function handleBuilderSaveKey(event) {
+        if (!isBuilderPage() || !(event.ctrlKey || event.metaKey) || event.key?.toLowerCase() !== 's') return;
+        editedSinceSave = false;
+        debouncedUpdate();
+    }
 
-        // Request brand info from parent
-        try {
-            window.parent.postMessage({ type: 'GHL_REQUEST_BRAND' }, '*');
-        } catch (e) { }
+    /**
+     * Track typing in builder name fields and other contenteditable areas
+     */
+    function handleBuilderInput(event) {
+        if (!isBuilderPage() || !event.target.isContentEditable) return;
+        editedSinceSave = true;
+        editedUrl = window.location.href;
+        debouncedUpdate();
     }
 
-    function debounce(fn, ms) {
-        let timeout;
-        return function (...args) {
-            clearTimeout(timeout);
-            timeout = setTimeout(() => fn.apply(this, args), ms);
+    /**
+     * Read the unread conversations counter
+     */
+    function getUnreadCount() {
+        for (const selector of CONFIG.unreadSelectors) {
+            const match = document.querySelector(selector)?.textContent?.match(/\d+/);
+            if (match) return parseInt(match[0], 10);
+        }
+        return null;
+    }
+
+    /**
+     * Check if the unread count is switched on for this domain
+     */
+    function isUnreadCountEnabled() {
+        const overrides = currentSettings.unreadDomains || {};
+        const domain = Object.keys(overrides)
+            .filter(pattern => GHLDomainPatterns.matchesPattern(window.location.href, pattern))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return domain ? overrides[domain] : currentSettings.showUnreadCount !== false;
+    }
+
+    /**
+     * Get the generated favicon style for a location, if the user picked one
+     */
+    function getBrandIcon(locationId) {
+        const icon = locationId && (currentSettings.brandIcons || {})[locationId];
+        if (!icon || (!icon.color && !icon.monogram)) return null;
+
+        const brandName = brandNames[locationId] || learnedBrandNames[locationId] || '';
+        const initials = brandName.split(/\s+/)
+            .filter(word => word)
+            .map(word => word[0])
+            .join('')
+            .substring(0, 2)
+            .toUpperCase();
+
+        return {
+            color: icon.color || CONFIG.defaultIconColor,
+            monogram: icon.monogram || initials
         };
     }
 
-    const debouncedUpdate = debounce(updateTitle, CONFIG.updateDebounceMs);
+    /**
+     * Draw the favicon: a colored monogram tile or the page icon, plus the unread badge
+     */
+    function drawFavicon(baseHref, icon, count) {
+        return new Promise(resolve => {
+            const size = CONFIG.faviconSize;
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            const ctx = canvas.getContext('2d');
 
-    function setupObserver() {
-        if (!document.body) return;
+            const drawBadge = () => {
+                if (count) {
+                    const label = count > 99 ? '99+' : String(count);
+                    const radius = size * 0.32;
+                    const x = size - radius;
+                    const y = size - radius;
 
-        const observer = new MutationObserver(debounce(() => {
-            debouncedUpdate();
-        }, CONFIG.observerDebounceMs));
+                    ctx.fillStyle = '#ef4444';
+                    ctx.beginPath();
+                    ctx.arc(x, y, radius, 0, Math.PI * 2);
+                    ctx.fill();
 
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true,
-            attributes: true,
-            attributeFilter: ['class', 'aria-current', 'aria-selected', 'data-active']
-        });
+                    ctx.fillStyle = '#fff';
+                    ctx.font = `bold ${label.length > 2 ? size * 0.28 : size * 0.4}px sans-serif`;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(label, x, y + 1);
+                }
 
-        let lastUrl = location.href;
-        new MutationObserver(() => {
-            if (location.href !== lastUrl) {
-                lastUrl = location.href;
-                debouncedUpdate();
+                resolve(canvas.toDataURL('image/png'));
+            };
+
+            if (icon) {
+                ctx.fillStyle = icon.color;
+                ctx.beginPath();
+                ctx.roundRect(0, 0, size, size, size * 0.2);
+                ctx.fill();
+
+                if (icon.monogram) {
+                    ctx.fillStyle = '#fff';
+                    ctx.font = `bold ${icon.monogram.length > 1 ? size * 0.45 : size * 0.6}px sans-serif`;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(icon.monogram, size / 2, size / 2 + 1);
+                }
+                drawBadge();
+                return;
             }
-        }).observe(document.documentElement, { subtree: true, childList: true });
 
-        window.addEventListener('popstate', debouncedUpdate);
-        window.addEventListener('hashchange', debouncedUpdate);
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => {
+                ctx.drawImage(img, 0, 0, size, size);
+                drawBadge();
+            };
+            // Missing or cross-origin icon: badge on its own
+            img.onerror = drawBadge;
+            img.src = baseHref;
+        });
     }
 
-    function init() {
-        // Delayed updates to catch Vue hydration
-        setTimeout(updateTitle, 300);
-        setTimeout(updateTitle, 1000);
-        setTimeout(updateTitle, 2500);
-        setTimeout(updateTitle, 5000);
+    /**
+     * Point every favicon link at a new href
+     */
+    function setFaviconHref(href) {
+        let links = document.querySelectorAll('link[rel~="icon"]');
+        if (links.length === 0) {
+            const link = document.createElement('link');
+            link.rel = 'icon';
+            document.head.appendChild(link);
+            links = [link];
+        }
+        links.forEach(link => {
+            link.href = href;
+        });
+        faviconState.appliedHref = links[0].href;
+    }
 
-        if (document.body) {
-            setupObserver();
+    /**
+     * Apply the brand icon and unread badge to the favicon (in top window)
+     */
+    async function updateFavicon(locationId, count) {
+        faviconState.request = { locationId, count };
+        const current = document.querySelector('link[rel~="icon"]')?.href || null;
+
+        // The page swapped its icon since our last update
+        if (current !== faviconState.appliedHref) {
+            faviconState.originalHref = current;
+            faviconState.appliedHref = current;
+            faviconState.key = null;
+        }
+
+        const icon = getBrandIcon(locationId);
+        const key = JSON.stringify([icon, count]);
+        if (key === faviconState.key) return;
+        faviconState.key = key;
+
+        const baseHref = faviconState.originalHref || `${window.location.origin}/favicon.ico`;
+        if (!icon && !count) {
+            if (faviconState.appliedHref !== faviconState.originalHref) {
+                setFaviconHref(baseHref);
+            }
+            return;
+        }
+
+        const dataUrl = await drawFavicon(baseHref, icon, count);
+        if (faviconState.key === key) {
+            setFaviconHref(dataUrl);
+        }
+    }
+
+    /**
+     * Re-apply our favicon when the SPA swaps the <link rel=icon>
+     */
+    function reapplyFavicon() {
+        if (!faviconState.request) return;
+        const { locationId, count } = faviconState.request;
+        updateFavicon(locationId, count);
+    }
+
+    /**
+     * Put back the page's own favicon, if we replaced it (in top window)
+     */
+    function restoreFavicon() {
+        const replaced = faviconState.appliedHref &&
+            faviconState.appliedHref !== faviconState.originalHref;
+
+        // Drops any badge still being drawn
+        faviconState.request = null;
+        faviconState.key = null;
+
+        if (replaced && document.querySelector('link[rel~="icon"]')?.href === faviconState.appliedHref) {
+            setFaviconHref(faviconState.originalHref || `${window.location.origin}/favicon.ico`);
+        }
+        faviconState.originalHref = null;
+        faviconState.appliedHref = null;
+    }
+
+    /**
+     * Update the document title
+     */
+    function updateTitle() {
+        if (!isActive) return;
+
+        learnBrandName();
+
+        const context = extractPageContext();
+        if (!context) {
+            if (isInIframe()) {
+                withdrawCandidate();
+            } else if (frameCandidates.delete(window)) {
+                commitWinningTitle();
+            }
+            return;
+        }
+
+        const brandName = getBrandName();
+        const section = getSection();
+        const locationId = getLocationId();
+        const unsaved = hasUnsavedChanges();
+        const unreadCount = getUnreadCount();
+
+        if (isInIframe()) {
+            // Wait for the top window to hand out its nonce
+            if (!frameNonce) {
+                requestBrandInfo();
+                return;
+            }
+
+            // Send to parent window
+            try {
+                postProtocolMessage(window.parent, getParentOrigin(), 'GHL_TAB_TITLE_UPDATE', {
+                    nonce: frameNonce,
+                    context: {
+                        text: context.text,
+                        entity: context.entity,
+                        module: context.module,
+                        subView: context.subView,
+                        strategy: context.strategy,
+                        priority: context.priority,
+                        personal: context.personal
+                    },
+                    brandName: brandName,
+                    section: section,
+                    locationId: locationId,
+                    unsaved: unsaved,
+                    unreadCount: unreadCount
+                });
+                hasPostedCandidate = true;
+            } catch (e) { }
         } else {
-            document.addEventListener('DOMContentLoaded', () => {
-                setupObserver();
+            // Compete with the iframes' candidates
+            submitCandidate(window, { context, brandName, section, locationId, unsaved, unreadCount });
+        }
+    }
+
+    /**
+     * Let the top window drop this frame's candidate (in iframes)
+     */
+    function withdrawCandidate() {
+        if (!frameNonce || !hasPostedCandidate) return;
+        hasPostedCandidate = false;
+        try {
+            postProtocolMessage(window.parent, getParentOrigin(), 'GHL_FRAME_UNLOAD', {
+                nonce: frameNonce
+            });
+        } catch (e) { }
+    }
+
+    /**
+     * Record a frame's latest title candidate and commit the winner (in top window)
+     */
+    function submitCandidate(source, candidate) {
+        frameCandidates.set(source, { ...candidate, updatedAt: Date.now() });
+        commitWinningTitle();
+    }
+
+    /**
+     * Share of the viewport an iframe covers: -1 once it is gone, 0 when hidden
+     */
+    function getFrameVisibility(source) {
+        if (source === window) return 0;
+
+        const frame = Array.from(document.querySelectorAll('iframe, frame'))
+            .find(f => f.contentWindow === source);
+        if (!frame) return -1;
+
+        const style = getComputedStyle(frame);
+        if (style.display === 'none' || style.visibility === 'hidden') return 0;
+
+        const rect = frame.getBoundingClientRect();
+        const width = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0));
+        const height = Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+        return (width * height) / (window.innerWidth * window.innerHeight || 1);
+    }
+
+    /**
+     * Pick the best candidate: strategy priority, then visible size, then recency.
+     * Hidden iframes only win when nothing else has a title. Candidates last
+     * until their frame withdraws them, unloads or is removed from the page.
+     */
+    function pickWinningCandidate() {
+        let best = null;
+
+        for (const [source, candidate] of frameCandidates) {
+            const visibility = getFrameVisibility(source);
+            if (visibility < 0) {
+                frameCandidates.delete(source);
+                continue;
+            }
+
+            const isHiddenFrame = source !== window && visibility === 0;
+            const ranked = {
+                candidate,
+                priority: isHiddenFrame ? 0 : candidate.context.priority || 0,
+                visibility
+            };
+
+            if (!best ||
+                ranked.priority > best.priority ||
+                (ranked.priority === best.priority && ranked.visibility > best.visibility) ||
+                (ranked.priority === best.priority && ranked.visibility === best.visibility &&
+                    candidate.updatedAt > best.candidate.updatedAt)) {
+                best = ranked;
+            }
+        }
+
+        return best?.candidate || null;
+    }
+
+    /**
+     * Apply the winning candidate's title and favicon (in top window)
+     */
+    function commitWinningTitle() {
+        if (!isActive) return;
+
+        // A pinned title wins over every frame, and is re-applied on each
+        // update so it survives SPA navigation
+        if (tabOverride.manualTitle) {
+            applyTitle(tabOverride.manualTitle);
+        }
+
+        const winner = pickWinningCandidate();
+        if (!winner) {
+            clearTabInfo();
+            return;
+        }
+
+        const locationId = getLocationId() || winner.locationId;
+        const unreadCount = getUnreadCount() ?? winner.unreadCount;
+
+        const brandName = isBrandHidden() ? null : winner.brandName || getBrandName();
+        const context = getPrivateContext(winner.context);
+
+        if (!tabOverride.manualTitle) {
+            applyTitle(composeTitle({
+                context: context,
+                brandName: brandName,
+                section: getSection() || winner.section,
+                locationId: locationId,
+                unsaved: winner.unsaved,
+                unreadCount: unreadCount
+            }));
+        }
+        applyFavicon(locationId, unreadCount);
+
+        reportTabInfo({
+            locationId: locationId,
+            entityId: getEntityId(),
+            brandName: brandName,
+            context: {
+                text: context.text,
+                entity: context.entity,
+                module: context.module || getSection() || winner.section,
+                subView: context.subView,
+                masked: context.masked
+            },
+            title: document.title,
+            url: window.location.href
+        });
+    }
+
+    /**
+     * Check if the brand is left out of titles (privacy mode)
+     */
+    function isBrandHidden() {
+        return Boolean(privacyMode && currentSettings.privacyHideBrand);
+    }
+
+    /**
+     * The context as shown in privacy mode: a person's name is masked, other
+     * contexts (workflows, forms, ...) are left as they are
+     */
+    function getPrivateContext(context) {
+        if (!privacyMode || !context.personal) return context;
+
+        // A fallback that only found the section's own name ("Contacts")
+        if (!context.entity && context.text.toLowerCase() === (context.module || '').toLowerCase()) {
+            return context;
+        }
+
+        const masked = maskName(context.entity || context.text);
+        return {
+            ...context,
+            text: masked,
+            entity: context.entity ? masked : context.entity,
+            masked: true
+        };
+    }
+
+    /**
+     * Mask a name as initials ("J. D."), a hash ("#a3f91c") or a label
+     * ("Contact #a3f"); the hash is stable so tabs can still be told apart
+     */
+    function maskName(name) {
+        const style = currentSettings.privacyMask;
+        if (style === 'initials') {
+            return name.split(/\s+/)
+                .filter(Boolean)
+                .slice(0, 3)
+                .map(word => `${Array.from(word)[0].toUpperCase()}.`)
+                .join(' ');
+        }
+
+        const hash = hashName(name);
+        if (style === 'hash') return `#${hash.substring(0, 6)}`;
+        return `${CONFIG.privacyLabel} #${hash.substring(0, 3)}`;
+    }
+
+    /**
+     * FNV-1a hash of a name as hex
+     */
+    function hashName(name) {
+        let hash = 0x811c9dc5;
+        for (const char of name.toLowerCase()) {
+            hash ^= char.codePointAt(0);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Tell the background worker what this tab shows, for the tab switcher
+     * and sub-account tab groups (in top window)
+     */
+    function reportTabInfo(info) {
+        const key = JSON.stringify(info);
+        if (key === reportedTabInfo) return;
+        reportedTabInfo = key;
+
+        try {
+            chrome.runtime.sendMessage({ type: 'GHL_TAB_INFO', info })
+                .then(response => setDuplicateTab(Boolean(response?.duplicate)))
+                .catch(() => { });
+        } catch (e) { }
+    }
+
+    /**
+     * Take this tab out of the switcher index when it shows nothing (in top window)
+     */
+    function clearTabInfo() {
+        if (reportedTabInfo === null) return;
+        reportedTabInfo = null;
+
+        try {
+            chrome.runtime.sendMessage({ type: 'GHL_TAB_CLEAR' }).catch(() => { });
+        } catch (e) { }
+    }
+
+    /**
+     * Leave the index when the page goes away (navigation, reload), and report
+     * again when it comes back from the back/forward cache (in top window)
+     */
+    if (!isInIframe()) {
+        window.addEventListener('pagehide', clearTabInfo);
+        window.addEventListener('pageshow', (event) => {
+            if (event.persisted) commitWinningTitle();
+        });
+    }
+
+    /**
+     * Flag (or unflag) this tab as showing an entity open in another tab (in top window)
+     */
+    function setDuplicateTab(duplicate) {
+        if (duplicate === isDuplicateTab) return;
+        isDuplicateTab = duplicate;
+        commitWinningTitle();
+    }
+
+    /**
+     * Build the tab title from the user's template (in top window)
+     */
+    function composeTitle({ context, brandName, section, locationId, unsaved, unreadCount }) {
+        const hostname = window.location.hostname;
+        const template = GHLTitleTemplate.resolve(currentSettings, window.location.href);
+
+        // Avoid "Funnels · Funnels" when the context is the module itself
+        const module = context.module || section;
+        const isSameAsText = module && module.toLowerCase() === context.text.toLowerCase();
+
+        let title = GHLTitleTemplate.render(template, {
+            context: context.text,
+            entity: context.entity,
+            module: isSameAsText ? null : module,
+            subView: context.subView,
+            brand: brandName,
+            section: section,
+            locationId: locationId,
+            host: hostname,
+            // The page's own title may repeat the name or the brand
+            original: context.masked || isBrandHidden() ? null : originalTitle
+        });
+
+        if (unreadCount && isUnreadCountEnabled()) {
+            title = `(${unreadCount}) ${title}`;
+        }
+        if (unsaved && currentSettings.showUnsavedMarker !== false) {
+            const marker = currentSettings.unsavedMarker || CONFIG.defaultUnsavedMarker;
+            title = `${marker} ${title}`;
+        }
+        if (isDuplicateTab && currentSettings.markDuplicates !== false) {
+            title = `${CONFIG.duplicateMarker} ${title}`;
+        }
+        return title;
+    }
+
+    /**
+     * Update the favicon, with the badge only if the unread count is switched on
+     */
+    function applyFavicon(locationId, unreadCount) {
+        updateFavicon(locationId, isUnreadCountEnabled() ? unreadCount || 0 : 0);
+    }
+
+    /**
+     * Set the document title, remembering what the page had set itself
+     */
+    function applyTitle(newTitle) {
+        if (document.title !== appliedTitle) {
+            originalTitle = document.title;
+        }
+        if (newTitle && document.title !== newTitle) {
+            document.title = newTitle;
+        }
+        appliedTitle = newTitle;
+    }
+
+    /**
+     * Listen for messages (in top window)
+     */
+    if (!isInIframe()) {
+        window.addEventListener('message', (event) => {
+            if (!isProtocolMessage(event)) return;
+
+            if (event.data.type === 'GHL_TAB_TITLE_UPDATE') {
+                if (event.data.nonce !== tabNonce || !event.source) return;
+
+                const { context, brandName, section, locationId, unsaved, unreadCount } = event.data;
+                if (context?.text) {
+                    submitCandidate(event.source, {
+                        context, brandName, section, locationId, unsaved, unreadCount,
+                        origin: event.origin
+                    });
+                }
+            } else if (event.data.type === 'GHL_FRAME_UNLOAD') {
+                if (event.data.nonce !== tabNonce || !event.source) return;
+
+                // Fall back to the next-best frame
+                if (frameCandidates.delete(event.source)) {
+                    commitWinningTitle();
+                }
+            } else if (event.data.type === 'GHL_REQUEST_BRAND' && event.source) {
+                // Child iframe requesting brand info
+                postProtocolMessage(event.source, event.origin, 'GHL_BRAND_INFO', {
+                    nonce: tabNonce,
+                    brandName: getBrandName(),
+                    locationId: getLocationId()
+                });
+            }
+        });
+    }
+
+    /**
+     * Listen for brand info from parent (in iframes)
+     */
+    if (isInIframe()) {
+        window.addEventListener('message', (event) => {
+            if (event.source !== window.parent || event.origin !== getParentOrigin()) return;
+            if (!isProtocolMessage(event)) return;
+
+            if (event.data.type === 'GHL_BRAND_INFO') {
+                frameNonce = event.data.nonce || null;
+                cachedBrandName = event.data.brandName;
+                parentLocationId = event.data.locationId || null;
+                // Re-run update with new brand
                 updateTitle();
+            }
+        });
+
+        // Let the top window drop our candidate right away
+        window.addEventListener('pagehide', withdrawCandidate);
+    }
+
+    /**
+     * Ask the parent window for its brand info (in iframes)
+     */
+    function requestBrandInfo() {
+        const parentOrigin = getParentOrigin();
+        if (!isTrustedOrigin(parentOrigin)) return;
+
+        try {
+            postProtocolMessage(window.parent, parentOrigin, 'GHL_REQUEST_BRAND');
+        } catch (e) { }
+    }
+
+    /**
+     * React to settings, rules, privacy mode and learned names changing in storage
+     */
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.privacyMode) {
+            privacyMode = Boolean(changes.privacyMode.newValue);
+            handleSettingsChange();
+        }
+        if (areaName === 'local' && changes.learnedBrands) {
+            learnedBrandNames = changes.learnedBrands.newValue || {};
+            updateTitle();
+            return;
+        }
+        if (areaName !== 'sync') return;
+
+        if (changes.extractionRules) {
+            extractionRules = GHLExtractionRules.fromStorage(changes.extractionRules.newValue);
+        }
+        if (changes.settings) {
+            applySettings(changes.settings.newValue);
+        }
+        if (changes.extractionRules || changes.settings) {
+            handleSettingsChange();
+        }
+    });
+
+    /**
+     * Start, stop or refresh retitling after a settings or override change
+     */
+    function handleSettingsChange() {
+        // Disabled, or this domain was removed / excluded
+        if (!isAllowedPage()) {
+            teardown();
+            return;
+        }
+
+        // A newly added domain or re-enabling activates an idle script
+        if (!isActive) {
+            start();
+            return;
+        }
+
+        if (isInIframe()) {
+            requestBrandInfo();
+        }
+        updateTitle();
+    }
+
+    /**
+     * Handle messages from the background worker
+     */
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message?.type === 'GHL_PING') {
+            sendResponse({ ready: true, active: isActive });
+        } else if (message?.type === 'GHL_SETTINGS_UPDATED') {
+            // Pushed by the background worker; also catches up a script that
+            // missed a storage change while its page was frozen
+            loadSettings().then(() => {
+                handleSettingsChange();
+                sendResponse({ ok: true });
+            });
+            return true;
+        } else if (message?.type === 'GHL_TEARDOWN') {
+            teardown();
+            sendResponse({ ok: true });
+        } else if (message?.type === 'GHL_OVERRIDE') {
+            applyTabOverride(message.override);
+            sendResponse({ ok: true });
+        } else if (message?.type === 'GHL_GET_STATE' && !isInIframe()) {
+            sendResponse(getTabState());
+        } else if (message?.type === 'GHL_GET_DIAGNOSTICS' && !isInIframe()) {
+            sendResponse(getDiagnostics());
+        } else if (message?.type === 'GHL_GET_FRAME_DIAGNOSTICS') {
+            sendResponse(collectDiagnostics());
+        } else if (message?.type === 'GHL_DUPLICATE' && !isInIframe()) {
+            setDuplicateTab(Boolean(message.duplicate));
+            sendResponse({ ok: true });
+        } else if (message?.type === 'GHL_START_PICKER') {
+            startElementPicker();
+        } else if (message?.type === 'GHL_STOP_PICKER') {
+            GHLElementPicker.stop();
+        }
+    });
+
+    /**
+     * Path pattern for a picked rule: the path below the location, with IDs as "*"
+     */
+    function getRulePathPattern() {
+        const segments = window.location.pathname.split('/').filter(s => s);
+        const locationIndex = segments.indexOf('location');
+        const scoped = locationIndex >= 0 ? segments.slice(locationIndex + 2) : segments;
+        const pattern = scoped
+            .map(segment => isIdSegment(segment) ? '*' : segment)
+            .join('/')
+            .replace(/(\/\*)+$/, '');
+        return `/${pattern}`;
+    }
+
+    /**
+     * Build the extraction rule for a picked selector
+     */
+    function createPickedRule(selector, path) {
+        const module = getSection() || '';
+        return {
+            // Named after where it applies, never the text it found (which may
+            // be a contact's name, and rules are synced and exported)
+            name: `Picked: ${module || path || selector}`.substring(0, 60),
+            module: module,
+            paths: path ? [path] : [],
+            selectors: [selector],
+            minLength: 2,
+            maxLength: 100,
+            rejectWords: [],
+            requireReadable: true,
+            personal: GHLExtractionRules.isPersonal({ module }),
+            enabled: true
+        };
+    }
+
+    /**
+     * What a picked selector would extract on this page, or why it is rejected
+     */
+    function previewPickedSelector(selector) {
+        if (!selector) return null;
+
+        const trace = [];
+        GHLExtractionRules.run([createPickedRule(selector, null)], '', document, trace);
+        const attempt = trace[trace.length - 1];
+        return attempt ? { text: attempt.text, reason: attempt.reason } : null;
+    }
+
+    /**
+     * Save a picked selector as the first extraction rule
+     */
+    async function savePickedRule({ selector, path }) {
+        const rule = createPickedRule(selector, path);
+        const errors = GHLExtractionRules.validate(rule);
+        if (errors.length > 0) return errors;
+
+        try {
+            const result = await chrome.storage.sync.get('extractionRules');
+            const rules = GHLExtractionRules.fromStorage(result.extractionRules);
+            rule.name = GHLExtractionRules.uniqueName(rule.name, rules);
+            await chrome.storage.sync.set({ extractionRules: GHLExtractionRules.toStorage([rule, ...rules]) });
+        } catch (e) {
+            return [`Could not save the rule: ${e.message}`];
+        }
+        return [];
+    }
+
+    /**
+     * Let the user click the element holding the title (in every frame)
+     */
+    function startElementPicker() {
+        GHLElementPicker.start({
+            path: getRulePathPattern(),
+            preview: previewPickedSelector,
+            save: savePickedRule,
+            // Close the picker in the tab's other frames too
+            done: () => {
+                try {
+                    chrome.runtime.sendMessage({ type: 'GHL_PICKER_DONE' }).catch(() => { });
+                } catch (e) { }
+            }
+        });
+    }
+
+    /**
+     * Store the pause / manual title override for this tab
+     */
+    function setTabOverride(override) {
+        tabOverride = {
+            paused: Boolean(override?.paused),
+            sitePaused: Boolean(override?.sitePaused),
+            manualTitle: override?.manualTitle || null
+        };
+    }
+
+    /**
+     * Load this tab's override from the background worker
+     */
+    async function loadTabOverride() {
+        try {
+            setTabOverride(await chrome.runtime.sendMessage({ type: 'GHL_GET_OVERRIDE' }));
+        } catch (e) { }
+    }
+
+    /**
+     * Apply an override changed from the popup. Iframes only follow the
+     * pause; the manual title belongs to the top window.
+     */
+    function applyTabOverride(override) {
+        if (isInIframe()) {
+            setTabOverride(override);
+            handleSettingsChange();
+            return;
+        }
+
+        const hadManualTitle = Boolean(tabOverride.manualTitle);
+        setTabOverride(override);
+
+        // Unpinned: show the page's title until the next update replaces it
+        if (hadManualTitle && !tabOverride.manualTitle && document.title === appliedTitle) {
+            document.title = originalTitle;
+            appliedTitle = null;
+        }
+
+        handleSettingsChange();
+        commitWinningTitle();
+    }
+
+    /**
+     * Describe what this tab currently shows, for the popup (in top window)
+     */
+    function getTabState() {
+        const winner = pickWinningCandidate();
+        const found = winner?.context || extractPageContext();
+        const context = found && getPrivateContext(found);
+
+        return {
+            active: isActive,
+            host: window.location.hostname,
+            title: document.title,
+            context: context ? { text: context.text, module: context.module, strategy: context.strategy } : null,
+            brandName: isBrandHidden() ? null : winner?.brandName || getBrandName(),
+            override: tabOverride
+        };
+    }
+
+    /**
+     * Explain how this frame arrives at its context: every strategy and
+     * selector tried, why each candidate was rejected, and the location ID
+     */
+    function collectDiagnostics() {
+        const strategies = [];
+        const context = extractPageContext(strategies);
+        const location = findLocationId();
+
+        strategies.forEach(entry => {
+            entry.attempts.forEach(attempt => {
+                if (attempt.text) attempt.cleaned = cleanContext(attempt.text);
+            });
+        });
+
+        return {
+            frame: isInIframe() ? window.location.origin : 'top',
+            url: window.location.href,
+            active: isActive,
+            context: context ? { text: context.text, strategy: context.strategy, priority: context.priority } : null,
+            strategies,
+            locationId: location.id,
+            locationSource: location.source
+        };
+    }
+
+    /**
+     * Diagnostics for the top window: its trace and the arbitration that
+     * picked the final title (the popup asks each iframe for its own trace)
+     */
+    function getDiagnostics() {
+        const winner = pickWinningCandidate();
+        const candidates = [...frameCandidates].map(([source, candidate]) => ({
+            frame: source === window ? 'top' : candidate.origin,
+            text: candidate.context.text,
+            strategy: candidate.context.strategy,
+            priority: candidate.context.priority,
+            visibility: getFrameVisibility(source),
+            winner: candidate === winner
+        }));
+
+        return {
+            title: document.title,
+            override: tabOverride,
+            candidates,
+            frames: [collectDiagnostics()]
+        };
+    }
+
+    /**
+     * Tell the background worker this tab has a live script (top window)
+     */
+    function announceReady() {
+        try {
+            chrome.runtime.sendMessage({ type: 'GHL_CONTENT_READY' }).catch(() => { });
+        } catch (e) { }
+    }
+
+    function debounce(fn, ms) {
+        let timeout;
+        return function (...args) {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => fn.apply(this, args), ms);
+        };
+    }
+
+    const debouncedUpdate = debounce(updateTitle, CONFIG.updateDebounceMs);
+
+    function setupObserver() {
+        if (!document.body) return;
+
+        const observer = new MutationObserver(debounce(() => {
+            debouncedUpdate();
+        }, CONFIG.observerDebounceMs));
+        observers.push(observer);
+
+        observer.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['class', 'aria-current', 'aria-selected', 'data-active',
+                'disabled', 'aria-disabled']
+        });
+
+        let lastUrl = location.href;
+        const urlObserver = new MutationObserver(() => {
+            if (location.href !== lastUrl) {
+                lastUrl = location.href;
+                debouncedUpdate();
+            }
+        });
+        urlObserver.observe(document.documentElement, { subtree: true, childList: true });
+        observers.push(urlObserver);
+
+        if (!isInIframe() && document.head) {
+            const faviconObserver = new MutationObserver(reapplyFavicon);
+            faviconObserver.observe(document.head, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ['href']
             });
+            observers.push(faviconObserver);
+        }
+
+        window.addEventListener('popstate', debouncedUpdate);
+        window.addEventListener('hashchange', debouncedUpdate);
+        document.addEventListener('input', handleBuilderInput, true);
+        document.addEventListener('click', handleBuilderSaveClick, true);
+        document.addEventListener('keydown', handleBuilderSaveKey, true);
+    }
+
+    function handleDomReady() {
+        setupObserver();
+        updateTitle();
+    }
+
+    /**
+     * Start retitling: timers, observers and the iframe handshake
+     */
+    function start() {
+        if (isActive) return;
+        isActive = true;
+
+        if (isInIframe()) {
+            requestBrandInfo();
+        }
+
+        // Delayed updates to catch Vue hydration
+        timers.push(setTimeout(updateTitle, 300));
+        timers.push(setTimeout(updateTitle, 1000));
+        timers.push(setTimeout(updateTitle, 2500));
+        timers.push(setTimeout(updateTitle, 5000));
+
+        // Re-arbitrate as iframes are shown, hidden or scrolled (iframes report
+        // changes themselves, so they need no timer)
+        if (!isInIframe()) {
+            timers.push(setInterval(commitWinningTitle, CONFIG.rearbitrateMs));
+        }
+
+        if (document.body) {
+            setupObserver();
+        } else {
+            document.addEventListener('DOMContentLoaded', handleDomReady);
+        }
+    }
+
+    /**
+     * Undo everything start() set up and give the page back its own title and favicon
+     */
+    function teardown() {
+        if (!isActive) return;
+        isActive = false;
+
+        observers.forEach(observer => observer.disconnect());
+        observers.length = 0;
+        timers.forEach(timer => clearTimeout(timer));
+        timers.length = 0;
+
+        window.removeEventListener('popstate', debouncedUpdate);
+        window.removeEventListener('hashchange', debouncedUpdate);
+        document.removeEventListener('input', handleBuilderInput, true);
+        document.removeEventListener('click', handleBuilderSaveClick, true);
+        document.removeEventListener('keydown', handleBuilderSaveKey, true);
+        document.removeEventListener('DOMContentLoaded', handleDomReady);
+
+        frameCandidates.clear();
+        withdrawCandidate();
+        clearTabInfo();
+        isDuplicateTab = false;
+        editedSinceSave = false;
+        editedUrl = null;
+
+        if (appliedTitle && document.title === appliedTitle) {
+            document.title = originalTitle;
+        }
+        appliedTitle = null;
+
+        restoreFavicon();
+    }
+
+    async function init() {
+        await loadSettings();
+        await loadTabOverride();
+
+        if (!isInIframe()) {
+            announceReady();
+        }
+        if (isAllowedPage()) {
+            start();
         }
     }
 
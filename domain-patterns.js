@@ -0,0 +1,264 @@
+/**
+ * GHL Tab Title - Domain Patterns
+ * Pattern grammar shared by the popup validation, background matching and content script
+ *
+ *   example.com            example.com and its subdomains
+ *   *.clientportal.*       "*" matches any part of the host
+ *   app.example.com/v2/*   host plus path prefix ("*" matches any part of the path)
+ *   localhost:3000         host with a specific port (IPs and [IPv6] work too)
+ *   /^crm\.[a-z]+\.com$/   regex, tested against "host[:port]/path"
+ *   !www.example.com       leading "!" excludes matching URLs
+ *
+ * Include patterns need a named domain: "*", "com", "*.*.com" or "co.uk" are too broad.
+ */
+
+(function () {
+    'use strict';
+
+    // Prevent multiple injections
+    if (globalThis.GHLDomainPatterns) return;
+
+    const HOST_PATTERN = /^(\[[0-9a-f:.]+\]|[^\s/:?#@\\[\]]+)(?::(\d{1,5}))?$/i;
+
+    // Match pattern for access to every site
+    const ALL_HOSTS = '*://*/*';
+
+    // Second-level labels that country domains sell names under ("co.uk", "com.au")
+    const SECOND_LEVEL_LABELS = ['ac', 'co', 'com', 'edu', 'gob', 'gov', 'ltd', 'mil', 'ne', 'net', 'or', 'org', 'plc', 'sch'];
+
+    /**
+     * Escape regex characters, turning "*" into a wildcard
+     */
+    function globToRegexSource(glob) {
+        return glob.split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+    }
+
+    /**
+     * Parse a pattern into a matcher, or null when the pattern is invalid
+     */
+    function parse(pattern) {
+        let source = (pattern || '').trim();
+        const exclude = source.startsWith('!');
+        if (exclude) source = source.slice(1).trim();
+        if (!source) return null;
+
+        // Regex: /.../flags
+        const regexMatch = source.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexMatch) {
+            try {
+                const regex = new RegExp(regexMatch[1], regexMatch[2]);
+                return {
+                    exclude,
+                    test: url => regex.test(url.host + url.pathname)
+                };
+            } catch (e) {
+                return null;
+            }
+        }
+
+        const slashIndex = source.indexOf('/');
+        const hostPart = slashIndex === -1 ? source : source.slice(0, slashIndex);
+        const pathPart = slashIndex === -1 ? null : source.slice(slashIndex);
+
+        const hostMatch = hostPart.match(HOST_PATTERN);
+        if (!hostMatch) return null;
+
+        let host;
+        try {
+            // Normalizes case and converts internationalized domains to punycode
+            host = new URL(`http://${hostMatch[1]}`).hostname;
+        } catch (e) {
+            return null;
+        }
+        if (host.split('.').some(label => label === '')) return null;
+
+        const port = hostMatch[2] || null;
+        if (port && Number(port) > 65535) return null;
+
+        // Plain hosts match subdomains too; "*." also matches the bare domain
+        let hostSource;
+        if (!host.includes('*')) {
+            hostSource = `(?:.*\\.)?${globToRegexSource(host)}`;
+        } else if (host.startsWith('*.')) {
+            hostSource = `(?:.*\\.)?${globToRegexSource(host.slice(2))}`;
+        } else {
+            hostSource = globToRegexSource(host);
+        }
+        const hostRegex = new RegExp(`^${hostSource}$`);
+        const pathRegex = pathPart ? new RegExp(`^${globToRegexSource(pathPart)}`) : null;
+
+        return {
+            exclude,
+            test: (url, ignorePath = false) => {
+                if (!hostRegex.test(url.hostname)) return false;
+                if (port && (url.port || defaultPort(url.protocol)) !== port) return false;
+                if (pathRegex && !ignorePath && !pathRegex.test(url.pathname)) return false;
+                return true;
+            }
+        };
+    }
+
+    /**
+     * Default port for a URL protocol
+     */
+    function defaultPort(protocol) {
+        return protocol === 'https:' ? '443' : protocol === 'http:' ? '80' : '';
+    }
+
+    /**
+     * Check if a pattern is valid
+     */
+    function isValid(pattern) {
+        return parse(pattern) !== null;
+    }
+
+    /**
+     * Check if a pattern is an exclude pattern
+     */
+    function isExclude(pattern) {
+        return (pattern || '').trim().startsWith('!');
+    }
+
+    /**
+     * Get the normalized host of a valid, non-regex pattern
+     */
+    function getHost(pattern) {
+        const source = pattern.trim().replace(/^!\s*/, '');
+        const hostMatch = source.split('/')[0].match(HOST_PATTERN);
+        return new URL(`http://${hostMatch[1]}`).hostname;
+    }
+
+    /**
+     * Check if an include pattern would match whole top-level domains or
+     * every site. A label other than "*" must come before the top-level
+     * domain ("co.uk" counts as one); localhost and IPv6 addresses are fine.
+     * Regexes are left to the user.
+     */
+    function isTooBroad(pattern) {
+        if (!isValid(pattern) || isExclude(pattern)) return false;
+        if (pattern.trim().startsWith('/')) return false;
+
+        const host = getHost(pattern);
+        if (host === 'localhost' || host.startsWith('[')) return false;
+
+        const labels = host.split('.');
+        const isCountrySuffix = labels.length >= 2 && /^[a-z]{2}$/.test(labels[labels.length - 1]) &&
+            SECOND_LEVEL_LABELS.includes(labels[labels.length - 2]);
+        return !labels.slice(0, isCountrySuffix ? -2 : -1).some(label => /[^*]/.test(label));
+    }
+
+    /**
+     * Chrome match patterns (for host permissions) covering a domain pattern.
+     * Ports and paths can't be expressed, so they widen to the whole host;
+     * regexes and mid-host wildcards need every host.
+     */
+    function toOriginPatterns(pattern) {
+        if (!isValid(pattern) || isExclude(pattern)) return [];
+
+        if (pattern.trim().startsWith('/')) return [ALL_HOSTS];
+
+        const host = getHost(pattern);
+
+        if (host.startsWith('*.') && !host.slice(2).includes('*')) {
+            return [`*://*.${host.slice(2)}/*`];
+        }
+        if (host.includes('*')) return [ALL_HOSTS];
+
+        // IPs and single-label hosts have no subdomains
+        const isIp = host.startsWith('[') || /^[\d.]+$/.test(host);
+        if (isIp || !host.includes('.')) return [`*://${host}/*`];
+
+        // "*." in a Chrome match pattern also covers the bare domain
+        return [`*://*.${host}/*`];
+    }
+
+    /**
+     * Check if a pattern can only be covered by access to every site
+     */
+    function needsAllHosts(pattern) {
+        return toOriginPatterns(pattern).includes(ALL_HOSTS);
+    }
+
+    /**
+     * Check if a Chrome match pattern grants every URL another one does,
+     * so revoking it would take that access away too
+     */
+    function coversOrigin(origin, other) {
+        const [, scheme, host] = origin.match(/^([^:]+):\/\/([^/]*)\//) || [];
+        const [, otherScheme, otherHost] = other.match(/^([^:]+):\/\/([^/]*)\//) || [];
+        if (!scheme || !otherScheme) return origin === other;
+
+        if (scheme !== '*' && scheme !== otherScheme) return false;
+        if (host === '*') return true;
+        if (!host.startsWith('*.')) return host === otherHost;
+
+        const domain = host.slice(2);
+        const otherDomain = otherHost.replace(/^\*\./, '');
+        return otherDomain === domain || otherDomain.endsWith(`.${domain}`);
+    }
+
+    /**
+     * Match patterns of removed domain patterns that no remaining pattern (or
+     * required origin) still needs. Revoking a broad origin would also revoke
+     * the narrower ones it covers, so those are kept.
+     */
+    function getReleasableOrigins(removed, remaining, required = []) {
+        const needed = [...required, ...remaining.flatMap(pattern => toOriginPatterns(pattern))];
+        const origins = [...new Set(removed.flatMap(pattern => toOriginPatterns(pattern)))];
+        return origins.filter(origin => !needed.some(other => coversOrigin(origin, other)));
+    }
+
+    /**
+     * Convert a string or URL to a URL object, or null
+     */
+    function toUrl(url) {
+        if (url instanceof URL) return url;
+        try {
+            return new URL(url);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Check if a URL matches a single pattern, ignoring its exclude flag
+     */
+    function matchesPattern(url, pattern, ignorePath = false) {
+        const urlObj = toUrl(url);
+        const parsed = parse(pattern);
+        return Boolean(urlObj && parsed && parsed.test(urlObj, ignorePath));
+    }
+
+    /**
+     * Check if a URL matches any include pattern and no exclude pattern.
+     * With ignorePath, path-scoped patterns match the whole host (origin checks).
+     */
+    function matches(url, patterns, ignorePath = false) {
+        const urlObj = toUrl(url);
+        if (!urlObj) return false;
+
+        let included = false;
+        for (const pattern of patterns || []) {
+            const parsed = parse(pattern);
+            if (!parsed || !parsed.test(urlObj, ignorePath && !parsed.exclude)) continue;
+            if (parsed.exclude) return false;
+            included = true;
+        }
+        return included;
+    }
+
+    globalThis.GHLDomainPatterns = {
+        parse,
+        isValid,
+        isExclude,
+        isTooBroad,
+        toOriginPatterns,
+        needsAllHosts,
+        coversOrigin,
+        getReleasableOrigins,
+        matchesPattern,
+        matches
+    };
+})();
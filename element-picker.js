@@ -0,0 +1,322 @@
+/**
+ * GHL Tab Title - Element Picker
+ * Hover-highlight and click-to-pick mode that turns a page element into a
+ * selector for a new extraction rule (driven by the content script)
+ */
+
+(function () {
+    'use strict';
+
+    // Prevent multiple injections
+    if (globalThis.GHLElementPicker) return;
+
+    const Z_INDEX = '2147483647';
+    const FONT = "13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+    // Attributes that usually survive GHL builds, unlike hashed class names
+    const STABLE_ATTRIBUTES = ['data-testid', 'data-test', 'data-cy', 'name', 'aria-label'];
+
+    // Classes that look generated (hashes, CSS modules) or only reflect UI state
+    const UNSTABLE_CLASS = /\d|^_|^(?:active|hover|focus|focused|selected|open|disabled|is-.+|has-.+)$/i;
+
+    // Picker UI and the page element picked, while picking
+    let state = null;
+
+    /**
+     * Check if a selector matches exactly one element
+     */
+    function isUnique(selector, doc) {
+        try {
+            return doc.querySelectorAll(selector).length === 1;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Describe a single element by id, stable attribute or stable classes
+     */
+    function describeElement(el) {
+        const tag = el.tagName.toLowerCase();
+
+        if (el.id && !/\d{3,}|^\d/.test(el.id)) {
+            return `#${CSS.escape(el.id)}`;
+        }
+        for (const attribute of STABLE_ATTRIBUTES) {
+            const value = el.getAttribute(attribute);
+            if (value && value.length < 60) {
+                return `${tag}[${attribute}="${value.replace(/["\\]/g, '\\$&')}"]`;
+            }
+        }
+
+        const classes = Array.from(el.classList)
+            .filter(name => !UNSTABLE_CLASS.test(name))
+            .slice(0, 2);
+        return tag + classes.map(name => `.${CSS.escape(name)}`).join('');
+    }
+
+    /**
+     * Build a selector for an element, climbing to ancestors until it is unique.
+     * Prefers ids, test attributes and unhashed classes; falls back to :nth-of-type.
+     */
+    function buildSelector(el) {
+        const doc = el.ownerDocument;
+        let selector = '';
+        let current = el;
+
+        for (let depth = 0; current && current !== doc.documentElement && depth < 6; depth++) {
+            let part = describeElement(current);
+            let candidate = selector ? `${part} > ${selector}` : part;
+            if (isUnique(candidate, doc)) return candidate;
+
+            const parent = current.parentElement;
+            const sameTag = parent ? Array.from(parent.children).filter(child => child.tagName === current.tagName) : [];
+            if (sameTag.length > 1) {
+                part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+                candidate = selector ? `${part} > ${selector}` : part;
+                if (isUnique(candidate, doc)) return candidate;
+            }
+
+            selector = candidate;
+            current = parent;
+        }
+        return selector;
+    }
+
+    /**
+     * Create a fixed-position element for the picker UI
+     */
+    function createBox(styles) {
+        const box = document.createElement('div');
+        Object.assign(box.style, {
+            position: 'fixed',
+            zIndex: Z_INDEX,
+            boxSizing: 'border-box',
+            font: FONT,
+            ...styles
+        });
+        document.documentElement.appendChild(box);
+        return box;
+    }
+
+    /**
+     * Check if an element belongs to the picker's own UI
+     */
+    function isPickerUi(el) {
+        return [state.highlight, state.label, state.panel].some(ui => ui && ui.contains(el));
+    }
+
+    /**
+     * Format what a selector would extract
+     */
+    function describePreview(preview) {
+        if (!preview) return '(nothing)';
+        return preview.reason ? `(${preview.reason})` : `"${preview.text}"`;
+    }
+
+    /**
+     * Highlight the element under the pointer and show its selector
+     */
+    function handleHover(event) {
+        if (state.picked || isPickerUi(event.target)) return;
+
+        const rect = event.target.getBoundingClientRect();
+        Object.assign(state.highlight.style, {
+            display: 'block',
+            top: `${rect.top}px`,
+            left: `${rect.left}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+
+        const selector = buildSelector(event.target);
+        state.label.textContent = `${selector}  →  ${describePreview(state.options.preview(selector))}`;
+        Object.assign(state.label.style, {
+            display: 'block',
+            top: `${Math.max(rect.top - 30, 0)}px`,
+            left: `${Math.max(rect.left, 0)}px`
+        });
+    }
+
+    /**
+     * Pick the clicked element instead of letting the page handle the click
+     */
+    function handleClick(event) {
+        if (isPickerUi(event.target)) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        if (!state.picked) {
+            pick(event.target);
+        }
+    }
+
+    function handleKeydown(event) {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            finish();
+        }
+    }
+
+    /**
+     * Create a labelled text field in the confirm panel
+     */
+    function createField(label, value) {
+        const wrapper = document.createElement('label');
+        Object.assign(wrapper.style, { display: 'block', marginTop: '8px', fontSize: '11px', color: '#a1a1aa' });
+        wrapper.textContent = label;
+
+        const input = document.createElement('input');
+        input.value = value;
+        Object.assign(input.style, {
+            display: 'block',
+            width: '100%',
+            marginTop: '4px',
+            padding: '6px 8px',
+            border: '1px solid rgba(255, 255, 255, 0.15)',
+            borderRadius: '6px',
+            background: 'rgba(255, 255, 255, 0.05)',
+            color: '#fff',
+            font: FONT
+        });
+        wrapper.appendChild(input);
+        state.panel.appendChild(wrapper);
+        return input;
+    }
+
+    function createButton(text, primary, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        Object.assign(button.style, {
+            padding: '6px 12px',
+            border: 'none',
+            borderRadius: '6px',
+            background: primary ? '#6366f1' : 'rgba(255, 255, 255, 0.08)',
+            color: '#fff',
+            cursor: 'pointer',
+            font: FONT
+        });
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Show the confirm panel for a picked element
+     */
+    function pick(el) {
+        state.picked = el;
+        state.label.style.display = 'none';
+        state.panel = createBox({
+            top: '16px',
+            right: '16px',
+            width: '340px',
+            padding: '12px',
+            borderRadius: '8px',
+            background: '#1a1a2e',
+            color: '#e4e4e7',
+            boxShadow: '0 8px 24px rgba(0, 0, 0, 0.4)'
+        });
+
+        const title = document.createElement('div');
+        title.textContent = 'New extraction rule';
+        title.style.fontWeight = '600';
+        state.panel.appendChild(title);
+
+        const selectorInput = createField('CSS selector', buildSelector(el));
+        const pathInput = createField('Path pattern', state.options.path);
+
+        const preview = document.createElement('div');
+        Object.assign(preview.style, { marginTop: '8px', color: '#a5f3fc', wordBreak: 'break-word', whiteSpace: 'pre-line' });
+        state.panel.appendChild(preview);
+
+        const renderPreview = () => {
+            preview.textContent = `Extracts: ${describePreview(state.options.preview(selectorInput.value.trim()))}`;
+        };
+        selectorInput.addEventListener('input', renderPreview);
+        renderPreview();
+
+        const actions = document.createElement('div');
+        Object.assign(actions.style, { display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '12px' });
+        actions.appendChild(createButton('Cancel', false, finish));
+        actions.appendChild(createButton('Save rule', true, async () => {
+            const errors = await state.options.save({
+                selector: selectorInput.value.trim(),
+                path: pathInput.value.trim()
+            });
+            if (errors && errors.length > 0) {
+                preview.textContent = errors.join('\n');
+                preview.style.color = '#f87171';
+                return;
+            }
+            finish();
+        }));
+        state.panel.appendChild(actions);
+    }
+
+    /**
+     * Leave picking mode, saved or not, and tell the caller
+     */
+    function finish() {
+        const options = state?.options;
+        stop();
+        options?.done?.();
+    }
+
+    /**
+     * Enter picking mode
+     * options: path (default path pattern), preview(selector) -> { text, reason },
+     *          save({ selector, path }) -> errors, done()
+     */
+    function start(options) {
+        if (state || !document.documentElement) return;
+
+        state = {
+            options,
+            picked: null,
+            panel: null,
+            highlight: createBox({
+                display: 'none',
+                pointerEvents: 'none',
+                border: '2px solid #6366f1',
+                borderRadius: '3px',
+                background: 'rgba(99, 102, 241, 0.15)'
+            }),
+            label: createBox({
+                display: 'none',
+                pointerEvents: 'none',
+                maxWidth: '480px',
+                padding: '4px 8px',
+                borderRadius: '4px',
+                background: '#1a1a2e',
+                color: '#e4e4e7',
+                fontSize: '12px',
+                whiteSpace: 'nowrap',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis'
+            })
+        };
+
+        document.addEventListener('mouseover', handleHover, true);
+        document.addEventListener('click', handleClick, true);
+        document.addEventListener('keydown', handleKeydown, true);
+    }
+
+    /**
+     * Remove the picker UI and listeners
+     */
+    function stop() {
+        if (!state) return;
+
+        document.removeEventListener('mouseover', handleHover, true);
+        document.removeEventListener('click', handleClick, true);
+        document.removeEventListener('keydown', handleKeydown, true);
+        [state.highlight, state.label, state.panel].forEach(ui => ui?.remove());
+        state = null;
+    }
+
+    globalThis.GHLElementPicker = {
+        buildSelector,
+        start,
+        stop
+    };
+})();
@@ -0,0 +1,486 @@
+/**
+ * GHL Tab Title - Extraction Rules
+ * Declarative page-context rules shared by the content script and options page
+ */
+
+(function () {
+    'use strict';
+
+    // Prevent multiple injections
+    if (globalThis.GHLExtractionRules) return;
+
+    /**
+     * Rule format:
+     *   name           - label shown in the options page
+     *   module         - app module the entity belongs to (Contacts, Automation, ...)
+     *   paths          - URL path patterns, "*" matches anything; empty matches every page
+     *   selectors      - CSS selectors tried in order
+     *   minLength      - shortest accepted text
+     *   maxLength      - longest accepted text
+     *   rejectWords    - texts to ignore (case-insensitive, whole text)
+     *   requireReadable - skip ID-like strings
+     *   personal       - the text is a person's name, masked in privacy mode
+     *   enabled        - rules can be switched off without deleting them
+     */
+    const DEFAULT_RULES = [
+        {
+            name: 'Contact detail',
+            module: 'Contacts',
+            paths: ['/contacts/detail/'],
+            selectors: [
+                'p.hr-text-semibold span.hr-ellipsis',
+                '#hr-ellipsis-id',
+                '.hr-ellipsis.hr-ellipsis--line-clamp'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: [],
+            requireReadable: false,
+            personal: true,
+            enabled: true
+        },
+        {
+            name: 'Workflow builder',
+            module: 'Automation',
+            paths: ['/workflow'],
+            selectors: [
+                '#cmp-header__txt--edit-workflow-name',
+                'h1.editable-header-text',
+                '.editable-header-text',
+                '.workflow-name-input h1',
+                '.editable-header-text-mirror',
+                '.n-ellipsis h1'
+            ],
+            minLength: 4,
+            maxLength: 200,
+            rejectWords: ['workflow', 'workflows'],
+            requireReadable: false,
+            enabled: true
+        },
+        {
+            name: 'Form builder',
+            module: 'Sites',
+            paths: ['/form-builder', '/forms/'],
+            selectors: [
+                '.builder-form-name > div[contenteditable="true"]',
+                '.builder-form-name div[contenteditable="true"]',
+                'div[contenteditable="true"].truncate',
+                'div[contenteditable="true"].text-lg'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: [],
+            requireReadable: true,
+            enabled: true
+        },
+        {
+            name: 'Survey builder',
+            module: 'Sites',
+            paths: ['/survey-builder', '/surveys/'],
+            selectors: [
+                '.builder-form-name > div[contenteditable="true"]',
+                '.builder-survey-name div[contenteditable="true"]',
+                '.survey-name'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: ['survey', 'surveys'],
+            requireReadable: true,
+            enabled: true
+        },
+        {
+            name: 'Opportunity detail',
+            module: 'Opportunities',
+            paths: ['/opportunities/*/detail', '/opportunities/list?*opportunityId='],
+            selectors: [
+                '#opportunity-name',
+                'input[name="opportunityName"]',
+                '.opportunity-modal .n-card-header__main',
+                '.opportunity-detail__name'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: ['opportunity', 'opportunities', 'add opportunity', 'edit opportunity'],
+            requireReadable: true,
+            enabled: true
+        },
+        {
+            name: 'Pipeline',
+            module: 'Opportunities',
+            paths: ['/opportunities'],
+            selectors: [
+                '[data-testid="pipeline-selector"] .n-base-selection-input__content',
+                '.pipeline-select .n-base-selection-input__content',
+                '.pipeline-selector .hl-select__selected'
+            ],
+            minLength: 2,
+            maxLength: 60,
+            rejectWords: ['pipeline', 'pipelines', 'select pipeline'],
+            requireReadable: true,
+            enabled: true
+        },
+        {
+            name: 'Calendar settings',
+            module: 'Calendars',
+            paths: ['/calendars/*/edit', '/settings/calendars/*', '/calendars/settings/*'],
+            selectors: [
+                'input#calendar-name',
+                'input[name="calendarName"]',
+                '.calendar-settings__name',
+                '.calendar-header .calendar-name'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: ['calendar', 'calendars', 'calendar settings'],
+            requireReadable: true,
+            enabled: true
+        },
+        {
+            name: 'Funnel & website page builder',
+            module: 'Sites',
+            paths: ['/page-builder/', '/funnels-websites/*/page/'],
+            selectors: [
+                '.builder-page-name',
+                '.page-name-input input',
+                '.header-page-name',
+                '.builder-header__title'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: ['page', 'untitled page'],
+            requireReadable: true,
+            enabled: true
+        },
+        {
+            name: 'Funnel',
+            module: 'Sites',
+            paths: ['/funnels-websites/funnels/', '/funnels/'],
+            selectors: [
+                '.funnel-detail-header h2',
+                '.hl-funnel-header__title',
+                '.funnel-name'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: ['funnel', 'funnels'],
+            requireReadable: true,
+            enabled: true
+        },
+        {
+            name: 'Website',
+            module: 'Sites',
+            paths: ['/funnels-websites/websites/', '/websites/'],
+            selectors: [
+                '.website-detail-header h2',
+                '.hl-website-header__title',
+                '.website-name'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: ['website', 'websites'],
+            requireReadable: true,
+            enabled: true
+        },
+        {
+            name: 'Email template editor',
+            module: 'Marketing',
+            paths: ['/emails/*/templates/', '/email-builder', '/template-builder'],
+            selectors: [
+                '#template-name',
+                '.template-name-input input',
+                '.email-builder__template-name',
+                '.builder-header .template-name'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: ['template', 'templates', 'untitled template'],
+            requireReadable: true,
+            enabled: true
+        },
+        {
+            name: 'Campaign editor',
+            module: 'Marketing',
+            paths: ['/emails/*/campaigns/', '/campaigns/'],
+            selectors: [
+                '#campaign-name',
+                'input[name="campaignName"]',
+                '.campaign-header .campaign-name',
+                '.campaign-name'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: ['campaign', 'campaigns', 'untitled campaign'],
+            requireReadable: true,
+            enabled: true
+        },
+        {
+            name: 'Conversation thread',
+            module: 'Conversations',
+            paths: ['/conversations/conversations/', '/conversations/'],
+            selectors: [
+                '[data-testid="conversation-header-name"]',
+                '.conversation-header .contact-name',
+                '.message-header__name',
+                '.hl-conversation-header .hr-ellipsis'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: ['conversations', 'unknown'],
+            requireReadable: true,
+            personal: true,
+            enabled: true
+        },
+        {
+            name: 'Trigger link',
+            module: 'Marketing',
+            paths: ['/marketing/links', '/trigger-links'],
+            selectors: [
+                '.trigger-link-modal input[name="name"]',
+                '.trigger-link-modal .n-card-header__main',
+                '.trigger-link-name'
+            ],
+            minLength: 2,
+            maxLength: 99,
+            rejectWords: ['trigger link', 'trigger links', 'add link', 'edit link'],
+            requireReadable: true,
+            enabled: true
+        }
+    ];
+
+    // Modules whose records are named after people, for rules without a
+    // personal flag and for texts found without a rule
+    const PERSONAL_MODULES = ['Contacts', 'Conversations'];
+
+    /**
+     * Check if a rule extracts a person's name
+     */
+    function isPersonal(rule) {
+        return rule.personal ?? PERSONAL_MODULES.includes(rule.module);
+    }
+
+    /**
+     * Check if text is human readable
+     */
+    function isHumanReadable(text) {
+        if (!text || text.length < 2) return false;
+        const noSpaces = text.replace(/\s/g, '');
+        if (/^[A-Za-z0-9]{15,}$/.test(noSpaces) && !/\s/.test(text)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Convert a path pattern to a regex ("*" matches anything)
+     */
+    function patternToRegex(pattern) {
+        const escaped = pattern.split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(escaped, 'i');
+    }
+
+    /**
+     * Check if a rule applies to a URL path (path + query + hash)
+     */
+    function matchesPath(rule, path) {
+        if (!rule.paths || rule.paths.length === 0) return true;
+        return rule.paths.some(pattern => pattern && patternToRegex(pattern).test(path));
+    }
+
+    /**
+     * Why a rule would reject a piece of text, or null when it is accepted
+     */
+    function rejectReason(rule, text) {
+        if (!text) return 'empty';
+        if (rule.minLength && text.length < rule.minLength) return 'too short';
+        if (rule.maxLength && text.length > rule.maxLength) return 'too long';
+        if ((rule.rejectWords || []).some(word => word.toLowerCase() === text.toLowerCase())) {
+            return 'reject word';
+        }
+        if (rule.requireReadable && !isHumanReadable(text)) return 'not human readable';
+        return null;
+    }
+
+    /**
+     * Get the visible text of a matched element (inputs hold their value)
+     */
+    function readText(el) {
+        if (el.matches('input, textarea')) return el.value?.trim();
+        return el.textContent?.trim();
+    }
+
+    /**
+     * Run rules in order and return the first match.
+     * Every attempt, with the reason it was rejected, is pushed onto trace if given.
+     */
+    function run(rules, path, root = document, trace = null) {
+        for (const rule of rules) {
+            try {
+                const match = runRule(rule, path, root, trace);
+                if (match) return match;
+            } catch (e) {
+                // Malformed stored rule; the rules after it still run
+                trace?.push({ rule: String(rule?.name), reason: 'invalid rule' });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Try one rule's selectors, or null when none of them matches
+     */
+    function runRule(rule, path, root, trace) {
+        if (rule.enabled === false) {
+            trace?.push({ rule: rule.name, reason: 'disabled' });
+            return null;
+        }
+        if (!matchesPath(rule, path)) {
+            trace?.push({ rule: rule.name, reason: 'path not matched' });
+            return null;
+        }
+
+        for (const selector of rule.selectors || []) {
+            let el;
+            try {
+                el = root.querySelector(selector);
+            } catch (e) {
+                // Invalid user-provided selector
+                trace?.push({ rule: rule.name, selector, reason: 'invalid selector' });
+                continue;
+            }
+            const text = el && readText(el);
+            const reason = el ? rejectReason(rule, text) : 'no element';
+            trace?.push({ rule: rule.name, selector, text, reason });
+            if (!reason) {
+                return { rule, selector, text };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * A rule with every field filled in, for comparing rules
+     */
+    function normalize(rule) {
+        return {
+            name: rule.name,
+            module: rule.module || '',
+            paths: rule.paths || [],
+            selectors: rule.selectors || [],
+            minLength: rule.minLength ?? null,
+            maxLength: rule.maxLength ?? null,
+            rejectWords: rule.rejectWords || [],
+            requireReadable: Boolean(rule.requireReadable),
+            personal: isPersonal(rule),
+            enabled: rule.enabled !== false
+        };
+    }
+
+    function isSameRule(a, b) {
+        return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+    }
+
+    /**
+     * Turn the rule list the user edited into what is stored: their own rules,
+     * shipped rules they changed or removed (by name) and the rule order.
+     * Shipped rules stay out of storage, so rules added in later versions reach
+     * everyone. Rule names must be unique (see validate).
+     */
+    function toStorage(rules) {
+        const shipped = new Map(DEFAULT_RULES.map(rule => [rule.name, rule]));
+        const custom = [];
+        const overrides = {};
+
+        for (const rule of rules) {
+            const original = shipped.get(rule.name);
+            if (!original) {
+                custom.push(rule);
+            } else if (!isSameRule(rule, original)) {
+                overrides[rule.name] = rule;
+            }
+        }
+        const names = new Set(rules.map(rule => rule.name));
+        for (const name of shipped.keys()) {
+            if (!names.has(name)) overrides[name] = { name, removed: true };
+        }
+
+        return { custom, overrides, order: rules.map(rule => rule.name) };
+    }
+
+    /**
+     * Build the rule list from storage: shipped rules with the user's changes,
+     * plus their own rules, in their order (shipped rules they haven't seen yet
+     * go last)
+     */
+    function fromStorage(stored) {
+        if (!stored) return DEFAULT_RULES;
+
+        const overrides = stored.overrides || {};
+        const rules = [
+            ...DEFAULT_RULES
+                .filter(rule => !overrides[rule.name]?.removed)
+                .map(rule => overrides[rule.name] || rule),
+            ...(stored.custom || [])
+        ];
+
+        const order = stored.order || [];
+        const position = rule => {
+            const index = order.indexOf(rule.name);
+            return index === -1 ? order.length : index;
+        };
+        return rules
+            .map((rule, index) => ({ rule, index }))
+            .sort((a, b) => position(a.rule) - position(b.rule) || a.index - b.index)
+            .map(entry => entry.rule);
+    }
+
+    /**
+     * Check a rule for problems before it is saved, along with the list it
+     * is saved in (rules are stored by name, so names must be unique)
+     */
+    function validate(rule, rules = []) {
+        const errors = [];
+        if (!rule.name || !rule.name.trim()) errors.push('Name is required');
+        if (rule.name && rules.some(other => other !== rule && other.name === rule.name)) {
+            errors.push(`Another rule is named "${rule.name}"`);
+        }
+        if (!rule.selectors || rule.selectors.length === 0) errors.push('At least one selector is required');
+        for (const selector of rule.selectors || []) {
+            try {
+                document.createDocumentFragment().querySelector(selector);
+            } catch (e) {
+                errors.push(`Invalid selector: ${selector}`);
+            }
+        }
+        if (rule.minLength && rule.maxLength && rule.minLength > rule.maxLength) {
+            errors.push('Min length is greater than max length');
+        }
+        return errors;
+    }
+
+    /**
+     * A name not used by any of the rules, numbering it if needed
+     */
+    function uniqueName(name, rules) {
+        const names = new Set(rules.map(rule => rule.name));
+        let candidate = name;
+        for (let count = 2; names.has(candidate); count++) {
+            candidate = `${name} ${count}`;
+        }
+        return candidate;
+    }
+
+    globalThis.GHLExtractionRules = {
+        DEFAULT_RULES,
+        fromStorage,
+        toStorage,
+        isHumanReadable,
+        isPersonal,
+        matchesPath,
+        rejectReason,
+        run,
+        uniqueName,
+        validate
+    };
+})();
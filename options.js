@@ -0,0 +1,460 @@
+/**
+ * GHL Tab Title - Options Script
+ * Manages extraction rule configuration and configuration profiles
+ */
+
+// DOM Elements
+const ruleList = document.getElementById('ruleList');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const resetRulesBtn = document.getElementById('resetRulesBtn');
+const saveRulesBtn = document.getElementById('saveRulesBtn');
+const statusEl = document.getElementById('status');
+const exportProfileBtn = document.getElementById('exportProfileBtn');
+const importFileBtn = document.getElementById('importFileBtn');
+const profileFileInput = document.getElementById('profileFileInput');
+const profileUrlInput = document.getElementById('profileUrlInput');
+const loadProfileUrlBtn = document.getElementById('loadProfileUrlBtn');
+const profileJsonInput = document.getElementById('profileJsonInput');
+const previewJsonBtn = document.getElementById('previewJsonBtn');
+const profilePreview = document.getElementById('profilePreview');
+const importMode = document.getElementById('importMode');
+const profileDiff = document.getElementById('profileDiff');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
+const applyImportBtn = document.getElementById('applyImportBtn');
+const profileStatusEl = document.getElementById('profileStatus');
+
+// Rules being edited
+let rules = [];
+
+// Validated profile waiting for the user to confirm the import
+let pendingProfile = null;
+
+/**
+ * Load extraction rules from storage
+ */
+async function loadRules() {
+    const result = await chrome.storage.sync.get('extractionRules');
+    return GHLExtractionRules.fromStorage(result.extractionRules);
+}
+
+/**
+ * Save extraction rules to storage (only what differs from the shipped rules)
+ */
+async function saveRules(extractionRules) {
+    await chrome.storage.sync.set({ extractionRules: GHLExtractionRules.toStorage(extractionRules) });
+}
+
+/**
+ * Show temporary status message
+ */
+function showStatus(message, type = 'success', el = statusEl) {
+    el.textContent = message;
+    el.className = `status ${type}`;
+    setTimeout(() => {
+        el.className = 'status';
+    }, 4000);
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Split a comma or newline separated field into a list
+ */
+function parseList(value, separator) {
+    return value.split(separator)
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+}
+
+/**
+ * Render the rule editor cards
+ */
+function renderRuleList() {
+    if (rules.length === 0) {
+        ruleList.innerHTML = '<div class="empty-state">No rules - only the built-in fallbacks will run</div>';
+        return;
+    }
+
+    ruleList.innerHTML = rules.map((rule, index) => `
+    <div class="rule ${rule.enabled === false ? 'disabled' : ''}" data-index="${index}">
+      <div class="rule-header">
+        <input class="field-input" data-field="name" value="${escapeHtml(rule.name || '')}" placeholder="Rule name">
+        <label class="checkbox-label">
+          <input type="checkbox" data-field="enabled" ${rule.enabled === false ? '' : 'checked'}> Enabled
+        </label>
+        <button class="btn-icon" data-action="up" title="Move up">▲</button>
+        <button class="btn-icon" data-action="down" title="Move down">▼</button>
+        <button class="btn-icon btn-remove" data-action="remove" title="Remove rule">✕</button>
+      </div>
+      <div class="rule-grid">
+        <div class="full">
+          <label class="field-label">Module (e.g. Contacts, Automation, Sites)</label>
+          <input class="field-input" data-field="module" value="${escapeHtml(rule.module || '')}">
+        </div>
+        <div class="full">
+          <label class="field-label">Path patterns (comma separated, empty matches every page)</label>
+          <input class="field-input" data-field="paths" value="${escapeHtml((rule.paths || []).join(', '))}" placeholder="/contacts/detail/">
+        </div>
+        <div class="full">
+          <label class="field-label">CSS selectors (one per line, tried in order)</label>
+          <textarea class="field-input" data-field="selectors">${escapeHtml((rule.selectors || []).join('\n'))}</textarea>
+        </div>
+        <div>
+          <label class="field-label">Min length</label>
+          <input class="field-input" type="number" min="0" data-field="minLength" value="${rule.minLength ?? ''}">
+        </div>
+        <div>
+          <label class="field-label">Max length</label>
+          <input class="field-input" type="number" min="0" data-field="maxLength" value="${rule.maxLength ?? ''}">
+        </div>
+        <div class="full">
+          <label class="field-label">Reject words (comma separated)</label>
+          <input class="field-input" data-field="rejectWords" value="${escapeHtml((rule.rejectWords || []).join(', '))}">
+        </div>
+        <div class="full">
+          <label class="checkbox-label">
+            <input type="checkbox" data-field="requireReadable" ${rule.requireReadable ? 'checked' : ''}>
+            Skip ID-like text
+          </label>
+        </div>
+        <div class="full">
+          <label class="checkbox-label">
+            <input type="checkbox" data-field="personal" ${GHLExtractionRules.isPersonal(rule) ? 'checked' : ''}>
+            Text is a person's name (masked in privacy mode)
+          </label>
+        </div>
+      </div>
+    </div>
+  `).join('');
+
+    ruleList.querySelectorAll('[data-action]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const index = Number(e.target.closest('.rule').dataset.index);
+            handleRuleAction(e.target.dataset.action, index);
+        });
+    });
+}
+
+/**
+ * Read the rule cards back into rule objects
+ */
+function readRuleList() {
+    return Array.from(ruleList.querySelectorAll('.rule')).map(card => {
+        const field = name => card.querySelector(`[data-field="${name}"]`);
+        const number = name => {
+            const value = field(name).value.trim();
+            return value === '' ? null : Number(value);
+        };
+
+        return {
+            name: field('name').value.trim(),
+            module: field('module').value.trim(),
+            paths: parseList(field('paths').value, ','),
+            selectors: parseList(field('selectors').value, '\n'),
+            minLength: number('minLength'),
+            maxLength: number('maxLength'),
+            rejectWords: parseList(field('rejectWords').value, ','),
+            requireReadable: field('requireReadable').checked,
+            personal: field('personal').checked,
+            enabled: field('enabled').checked
+        };
+    });
+}
+
+/**
+ * Move or remove a rule
+ */
+function handleRuleAction(action, index) {
+    rules = readRuleList();
+
+    if (action === 'remove') {
+        rules.splice(index, 1);
+    } else {
+        const target = action === 'up' ? index - 1 : index + 1;
+        if (target < 0 || target >= rules.length) return;
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+    }
+
+    renderRuleList();
+}
+
+/**
+ * Append an empty rule
+ */
+function addRule() {
+    rules = readRuleList();
+    rules.push({
+        name: '',
+        module: '',
+        paths: [],
+        selectors: [],
+        minLength: 2,
+        maxLength: 100,
+        rejectWords: [],
+        requireReadable: true,
+        personal: false,
+        enabled: true
+    });
+    renderRuleList();
+    ruleList.lastElementChild.querySelector('[data-field="name"]').focus();
+}
+
+/**
+ * Validate and save all rules
+ */
+async function saveAllRules() {
+    rules = readRuleList();
+
+    const errors = rules.flatMap((rule, index) =>
+        GHLExtractionRules.validate(rule, rules).map(error => `Rule ${index + 1}: ${error}`));
+
+    if (errors.length > 0) {
+        showStatus(errors.join('\n'), 'error');
+        return;
+    }
+
+    try {
+        await saveRules(rules);
+    } catch (e) {
+        // Sync storage limits the size of each item
+        showStatus(`Could not save the rules: ${e.message}`, 'error');
+        return;
+    }
+    renderRuleList();
+    showStatus('Rules saved!', 'success');
+}
+
+/**
+ * Restore the shipped rule set
+ */
+async function resetRules() {
+    if (!confirm('Replace all rules with the default rule set?')) return;
+
+    await chrome.storage.sync.remove('extractionRules');
+    rules = await loadRules();
+    renderRuleList();
+    showStatus('Rules reset to defaults', 'success');
+}
+
+/**
+ * Load the stored settings and effective extraction rules
+ */
+async function loadConfiguration() {
+    const result = await chrome.storage.sync.get(['settings', 'extractionRules']);
+    return {
+        settings: result.settings || {},
+        extractionRules: GHLExtractionRules.fromStorage(result.extractionRules)
+    };
+}
+
+/**
+ * Download the current configuration as a profile file
+ */
+async function exportProfile() {
+    const { settings, extractionRules } = await loadConfiguration();
+    const profile = GHLSettingsProfile.create(settings, extractionRules);
+
+    const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ghl-tab-title-profile-${profile.exportedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    showStatus('Profile exported', 'success', profileStatusEl);
+}
+
+/**
+ * Validate profile JSON and preview what importing it would change
+ */
+async function previewProfile(text) {
+    try {
+        const { profile, errors } = GHLSettingsProfile.parse(text);
+        if (errors.length > 0) {
+            cancelImport();
+            showStatus(errors.join('\n'), 'error', profileStatusEl);
+            return;
+        }
+
+        pendingProfile = profile;
+        await renderImportDiff();
+    } catch (e) {
+        cancelImport();
+        showStatus(`Could not read the profile: ${e.message}`, 'error', profileStatusEl);
+    }
+}
+
+/**
+ * Render the changes the pending import makes in the selected mode
+ */
+async function renderImportDiff() {
+    const current = await loadConfiguration();
+    const next = GHLSettingsProfile.apply(current, pendingProfile, importMode.value);
+    const changes = GHLSettingsProfile.diff(current, next);
+    const symbols = { add: '+', remove: '−', change: '~' };
+
+    profileDiff.innerHTML = changes.length > 0
+        ? changes.map(change =>
+            `<div class="diff-${change.type}">${symbols[change.type]} ${escapeHtml(change.text)}</div>`).join('')
+        : '<div class="empty-state">No changes - your configuration already matches this profile</div>';
+    profilePreview.hidden = false;
+}
+
+/**
+ * Preview a profile file picked by the user
+ */
+async function importFile() {
+    const file = profileFileInput.files[0];
+    if (!file) return;
+
+    await previewProfile(await file.text());
+    profileFileInput.value = '';
+}
+
+/**
+ * Give back host access that was only needed to download a profile
+ */
+async function releaseProfileOrigin(origin) {
+    const { settings } = await loadConfiguration();
+    const required = chrome.runtime.getManifest().host_permissions || [];
+    const needed = [...required, ...(settings.domains || []).flatMap(domain => GHLDomainPatterns.toOriginPatterns(domain))];
+    if (needed.some(other => GHLDomainPatterns.coversOrigin(origin, other))) return;
+
+    try {
+        await chrome.permissions.remove({ origins: [origin] });
+    } catch (e) { }
+}
+
+/**
+ * Download and preview a profile published at a URL
+ */
+async function loadProfileUrl() {
+    let url;
+    try {
+        url = new URL(profileUrlInput.value.trim());
+    } catch (e) {
+        url = null;
+    }
+    if (!url || !['https:', 'http:'].includes(url.protocol)) {
+        showStatus('Enter a valid http(s) URL', 'error', profileStatusEl);
+        return;
+    }
+
+    // Cross-origin downloads need host access; ask first, while the click
+    // still counts as a user gesture (CORS-enabled hosts work without it)
+    const origin = `${url.protocol}//${url.hostname}/*`;
+    let granted = false;
+    try {
+        granted = await chrome.permissions.request({ origins: [origin] });
+    } catch (e) { }
+
+    let text;
+    try {
+        const response = await fetch(url, { cache: 'no-store', credentials: 'omit' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        text = await response.text();
+    } catch (e) {
+        showStatus(`Could not load profile: ${e.message}`, 'error', profileStatusEl);
+        return;
+    } finally {
+        if (granted) await releaseProfileOrigin(origin);
+    }
+
+    await previewProfile(text);
+}
+
+/**
+ * Drop the pending import
+ */
+function cancelImport() {
+    pendingProfile = null;
+    profilePreview.hidden = true;
+    profileDiff.innerHTML = '';
+}
+
+/**
+ * Write the pending import to storage
+ */
+async function applyImport() {
+    if (!pendingProfile) return;
+
+    // Imported domains need host access; ask first, while the click still counts as a user gesture
+    const origins = [...new Set((pendingProfile.settings.domains || [])
+        .flatMap(domain => GHLDomainPatterns.toOriginPatterns(domain)))];
+    let granted = true;
+    if (origins.length > 0) {
+        try {
+            granted = await chrome.permissions.request({ origins });
+        } catch (e) {
+            granted = false;
+        }
+    }
+
+    const current = await loadConfiguration();
+    const next = GHLSettingsProfile.apply(current, pendingProfile, importMode.value);
+    try {
+        await chrome.storage.sync.set({
+            settings: next.settings,
+            extractionRules: GHLExtractionRules.toStorage(next.extractionRules)
+        });
+    } catch (e) {
+        showStatus(`Could not save the profile: ${e.message}`, 'error', profileStatusEl);
+        return;
+    }
+
+    // Replacing can drop domains; give back the access only they needed
+    const droppedDomains = (current.settings.domains || [])
+        .filter(domain => !(next.settings.domains || []).includes(domain));
+    const required = chrome.runtime.getManifest().host_permissions || [];
+    const releasable = GHLDomainPatterns.getReleasableOrigins(droppedDomains, next.settings.domains || [], required);
+    if (releasable.length > 0) {
+        try {
+            await chrome.permissions.remove({ origins: releasable });
+        } catch (e) { }
+    }
+
+    cancelImport();
+    profileJsonInput.value = '';
+    rules = next.extractionRules;
+    renderRuleList();
+    if (granted) {
+        showStatus('Profile imported', 'success', profileStatusEl);
+    } else {
+        showStatus('Profile imported - site access was not granted, so custom domains stay inactive',
+            'error', profileStatusEl);
+    }
+}
+
+/**
+ * Initialize options page
+ */
+async function init() {
+    rules = await loadRules();
+    renderRuleList();
+
+    // Event listeners
+    addRuleBtn.addEventListener('click', addRule);
+    resetRulesBtn.addEventListener('click', resetRules);
+    saveRulesBtn.addEventListener('click', saveAllRules);
+    exportProfileBtn.addEventListener('click', exportProfile);
+    importFileBtn.addEventListener('click', () => profileFileInput.click());
+    profileFileInput.addEventListener('change', importFile);
+    loadProfileUrlBtn.addEventListener('click', loadProfileUrl);
+    previewJsonBtn.addEventListener('click', () => previewProfile(profileJsonInput.value));
+    importMode.addEventListener('change', () => {
+        if (pendingProfile) renderImportDiff();
+    });
+    cancelImportBtn.addEventListener('click', cancelImport);
+    applyImportBtn.addEventListener('click', applyImport);
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
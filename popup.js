@@ -5,22 +5,108 @@
 
 const DEFAULT_SETTINGS = {
     domains: [],
+    brands: {},
+    titleTemplate: GHLTitleTemplate.DEFAULT_TEMPLATE,
+    templates: {},
+    showUnsavedMarker: true,
+    unsavedMarker: '●',
+    showUnreadCount: true,
+    unreadDomains: {},
+    brandIcons: {},
+    groupTabs: false,
+    markDuplicates: true,
+    privacyMask: 'label',
+    privacyHideBrand: false,
     enabled: true
 };
 
+const DEFAULT_ICON_COLOR = '#6366f1';
+
+// Favicon colors are stored as the color input writes them
+const ICON_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Sample page used for the template preview
+const SAMPLE_TITLE_VALUES = {
+    context: 'Jane Doe',
+    entity: 'Jane Doe',
+    module: 'Contacts',
+    subView: 'Notes',
+    brand: 'ProFeds',
+    section: 'Contacts',
+    locationId: '8K55T8slMH0JRhCDHBEW',
+    host: 'app.gohighlevel.com',
+    original: 'Contacts'
+};
+
 // DOM Elements
 const enableToggle = document.getElementById('enableToggle');
 const domainInput = document.getElementById('domainInput');
 const addBtn = document.getElementById('addBtn');
+const domainMode = document.getElementById('domainMode');
 const domainList = document.getElementById('domainList');
 const statusEl = document.getElementById('status');
+const locationIdInput = document.getElementById('locationIdInput');
+const brandNameInput = document.getElementById('brandNameInput');
+const addBrandBtn = document.getElementById('addBrandBtn');
+const brandList = document.getElementById('brandList');
+const learnedList = document.getElementById('learnedList');
+const clearLearnedBtn = document.getElementById('clearLearnedBtn');
+const templateScope = document.getElementById('templateScope');
+const templateInput = document.getElementById('templateInput');
+const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+const templatePreview = document.getElementById('templatePreview');
+const optionsBtn = document.getElementById('optionsBtn');
+const unsavedToggle = document.getElementById('unsavedToggle');
+const unsavedMarkerInput = document.getElementById('unsavedMarkerInput');
+const unreadToggle = document.getElementById('unreadToggle');
+const groupTabsToggle = document.getElementById('groupTabsToggle');
+const duplicateToggle = document.getElementById('duplicateToggle');
+const privacyToggle = document.getElementById('privacyToggle');
+const privacyMaskSelect = document.getElementById('privacyMaskSelect');
+const privacyBrandToggle = document.getElementById('privacyBrandToggle');
+const historySection = document.getElementById('historySection');
+const switcherSection = document.getElementById('switcherSection');
+const switcherInput = document.getElementById('switcherInput');
+const switcherList = document.getElementById('switcherList');
+const historyInput = document.getElementById('historyInput');
+const historyList = document.getElementById('historyList');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const tabSection = document.getElementById('tabSection');
+const tabContext = document.getElementById('tabContext');
+const tabBrand = document.getElementById('tabBrand');
+const tabHost = document.getElementById('tabHost');
+const duplicateWarning = document.getElementById('duplicateWarning');
+const gotoDuplicateBtn = document.getElementById('gotoDuplicateBtn');
+const closeDuplicateBtn = document.getElementById('closeDuplicateBtn');
+const pauseTabToggle = document.getElementById('pauseTabToggle');
+const pauseSiteToggle = document.getElementById('pauseSiteToggle');
+const manualTitleInput = document.getElementById('manualTitleInput');
+const pinTitleBtn = document.getElementById('pinTitleBtn');
+const pickerBtn = document.getElementById('pickerBtn');
+const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+const diagnosticsPanel = document.getElementById('diagnosticsPanel');
+
+// Open GHL tabs for the switcher, the current matches and the highlighted one
+let switcherTabs = [];
+let switcherResults = [];
+let switcherSelection = 0;
+
+// Active tab and the state its content script reported
+let activeTab = null;
+let activeTabState = null;
+
+// Other tab showing the same entity as the active tab
+let duplicateOfTabId = null;
+
+// Pattern waiting for a second click before access to every site is requested
+let pendingAllHostsDomain = null;
 
 /**
  * Load settings from storage
  */
 async function loadSettings() {
     const result = await chrome.storage.sync.get('settings');
-    return result.settings || DEFAULT_SETTINGS;
+    return { ...DEFAULT_SETTINGS, ...result.settings };
 }
 
 /**
@@ -30,6 +116,33 @@ async function saveSettings(settings) {
     await chrome.storage.sync.set({ settings });
 }
 
+/**
+ * Load privacy mode (kept per machine, so masking for a screen share
+ * doesn't follow the user to their other browsers)
+ */
+async function loadPrivacyMode() {
+    const result = await chrome.storage.local.get('privacyMode');
+    return Boolean(result.privacyMode);
+}
+
+/**
+ * Keep names out of sight while screen sharing: recently visited entries
+ * and the diagnostics, which show raw extracted texts
+ */
+function showPrivacyMode(privacyMode) {
+    historySection.hidden = privacyMode;
+    diagnosticsBtn.hidden = privacyMode;
+    if (privacyMode) diagnosticsPanel.hidden = true;
+}
+
+/**
+ * Load brand names learned by the content script
+ */
+async function loadLearnedBrands() {
+    const result = await chrome.storage.local.get('learnedBrands');
+    return result.learnedBrands || {};
+}
+
 /**
  * Show temporary status message
  */
@@ -42,28 +155,75 @@ function showStatus(message, type = 'success') {
 }
 
 /**
- * Validate domain format
+ * Escape text for safe insertion into HTML
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Validate domain pattern format
  */
 function isValidDomain(domain) {
-    const pattern = /^([a-zA-Z0-9]([a-zA-Z0-9-]*[a-zA-Z0-9])?\.)+[a-zA-Z]{2,}$/;
-    return pattern.test(domain.trim());
+    return GHLDomainPatterns.isValid(domain);
+}
+
+/**
+ * Normalize a domain pattern: hosts are lowercased, paths and regex
+ * patterns keep their case (they match case-sensitively)
+ */
+function normalizeDomain(domain) {
+    const trimmed = domain.trim();
+    if (/^!?\s*\//.test(trimmed)) return trimmed;
+
+    const slashIndex = trimmed.indexOf('/');
+    if (slashIndex === -1) return trimmed.toLowerCase();
+    return trimmed.slice(0, slashIndex).toLowerCase() + trimmed.slice(slashIndex);
 }
 
 /**
  * Render the domain list
  */
-function renderDomainList(domains) {
+function renderDomainList(settings) {
+    const domains = settings.domains;
+
     if (domains.length === 0) {
         domainList.innerHTML = '<div class="empty-state">No domains configured yet</div>';
         return;
     }
 
-    domainList.innerHTML = domains.map(domain => `
-    <div class="domain-item" data-domain="${domain}">
-      <span class="domain-name">${domain}</span>
-      <button class="btn-remove" title="Remove domain">✕</button>
+    domainList.innerHTML = domains.map(domain => {
+        const exclude = GHLDomainPatterns.isExclude(domain);
+        const name = exclude ? domain.slice(1).trim() : domain;
+        return `
+    <div class="domain-item" data-domain="${escapeHtml(domain)}">
+      <span class="domain-name ${exclude ? 'excluded' : ''}">${escapeHtml(name)}</span>
+      <div class="domain-actions">
+        <button class="pattern-mode-tag ${exclude ? 'exclude' : ''}"
+          title="Switch between include and exclude">${exclude ? 'exclude' : 'include'}</button>
+        ${exclude ? '' : `<button class="btn-unread ${isUnreadCountEnabled(settings, domain) ? 'active' : ''}"
+          title="Show unread count on this domain">🔔</button>`}
+        <button class="btn-remove" title="Remove domain">✕</button>
+      </div>
     </div>
-  `).join('');
+  `;
+    }).join('');
+
+    domainList.querySelectorAll('.pattern-mode-tag').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const domain = e.target.closest('.domain-item').dataset.domain;
+            await toggleDomainMode(domain);
+        });
+    });
+
+    domainList.querySelectorAll('.btn-unread').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const domain = e.target.closest('.domain-item').dataset.domain;
+            await toggleDomainUnreadCount(domain);
+        });
+    });
 
     // Add remove handlers
     domainList.querySelectorAll('.btn-remove').forEach(btn => {
@@ -73,23 +233,128 @@ function renderDomainList(domains) {
             await removeDomain(domain);
         });
     });
+
+    markUngrantedDomains(domains);
+}
+
+/**
+ * Add a Grant button to domains without host access (domains that came
+ * through sync or a profile import, or access revoked in chrome://extensions)
+ */
+async function markUngrantedDomains(domains) {
+    for (const domain of domains) {
+        const origins = GHLDomainPatterns.toOriginPatterns(domain);
+        if (origins.length === 0 || await chrome.permissions.contains({ origins })) continue;
+
+        const item = [...domainList.querySelectorAll('.domain-item')].find(el => el.dataset.domain === domain);
+        if (!item || item.querySelector('.btn-grant')) continue;
+
+        const button = document.createElement('button');
+        button.className = 'btn-grant';
+        button.textContent = 'Grant';
+        button.title = 'Allow the extension on this domain';
+        button.addEventListener('click', () => grantDomain(domain));
+        item.querySelector('.domain-actions').prepend(button);
+    }
+}
+
+/**
+ * Ask for host access to a domain that was added without it
+ */
+async function grantDomain(domain) {
+    if (!checkPatternScope(domain)) return;
+
+    // Must run first, while the click still counts as a user gesture
+    const granted = await chrome.permissions.request({ origins: GHLDomainPatterns.toOriginPatterns(domain) });
+    if (!granted) {
+        showStatus('Access to this domain was not granted', 'error');
+        return;
+    }
+
+    renderDomainList(await loadSettings());
+    showStatus('Access granted', 'success');
+}
+
+/**
+ * Refuse patterns matching whole top-level domains, and ask for a second
+ * click before requesting access to every site (a confirm() dialog would
+ * use up the user gesture the permission request needs)
+ */
+function checkPatternScope(domain) {
+    if (GHLDomainPatterns.isTooBroad(domain)) {
+        pendingAllHostsDomain = null;
+        showStatus('Pattern matches too many sites - include a domain name', 'error');
+        return false;
+    }
+    if (GHLDomainPatterns.needsAllHosts(domain) && pendingAllHostsDomain !== domain) {
+        pendingAllHostsDomain = domain;
+        showStatus('This pattern needs access to every website - click again to allow', 'error');
+        return false;
+    }
+    pendingAllHostsDomain = null;
+    return true;
+}
+
+/**
+ * Check if the unread count is shown on a domain
+ */
+function isUnreadCountEnabled(settings, domain) {
+    return settings.unreadDomains[domain] ?? settings.showUnreadCount;
+}
+
+/**
+ * Flip the unread count for one domain
+ */
+async function toggleDomainUnreadCount(domain) {
+    const settings = await loadSettings();
+    const enabled = !isUnreadCountEnabled(settings, domain);
+    settings.unreadDomains = { ...settings.unreadDomains, [domain]: enabled };
+    await saveSettings(settings);
+    renderDomainList(settings);
+    showStatus(`Unread count ${enabled ? 'on' : 'off'} for ${domain}`, 'success');
+}
+
+/**
+ * Toggle the unread count on all domains without their own setting
+ */
+async function toggleUnreadCount() {
+    const settings = await loadSettings();
+    settings.showUnreadCount = unreadToggle.checked;
+    await saveSettings(settings);
+    renderDomainList(settings);
+    showStatus(settings.showUnreadCount ? 'Unread count on' : 'Unread count off', 'success');
 }
 
 /**
  * Add a new domain
  */
 async function addDomain() {
-    const domain = domainInput.value.trim().toLowerCase();
+    const pattern = normalizeDomain(domainInput.value);
 
-    if (!domain) {
+    if (!pattern) {
         showStatus('Please enter a domain', 'error');
         return;
     }
 
+    const domain = domainMode.value === 'exclude' && !GHLDomainPatterns.isExclude(pattern)
+        ? `!${pattern}`
+        : pattern;
+
     if (!isValidDomain(domain)) {
-        showStatus('Invalid domain format', 'error');
+        showStatus('Invalid domain pattern', 'error');
         return;
     }
+    if (!checkPatternScope(domain)) return;
+
+    // Must run first, while the click still counts as a user gesture
+    const origins = GHLDomainPatterns.toOriginPatterns(domain);
+    if (origins.length > 0) {
+        const granted = await chrome.permissions.request({ origins });
+        if (!granted) {
+            showStatus('Access to this domain was not granted', 'error');
+            return;
+        }
+    }
 
     const settings = await loadSettings();
 
@@ -102,21 +367,353 @@ async function addDomain() {
     await saveSettings(settings);
 
     domainInput.value = '';
-    renderDomainList(settings.domains);
+    renderDomainList(settings);
+    renderTemplateScopes(settings);
     showStatus('Domain added!', 'success');
 }
 
+/**
+ * Drop the per-domain options stored for a pattern
+ */
+function forgetDomainOptions(settings, domain) {
+    const { [domain]: removed, ...templates } = settings.templates;
+    settings.templates = templates;
+    const { [domain]: unread, ...unreadDomains } = settings.unreadDomains;
+    settings.unreadDomains = unreadDomains;
+}
+
 /**
  * Remove a domain
  */
 async function removeDomain(domain) {
     const settings = await loadSettings();
     settings.domains = settings.domains.filter(d => d !== domain);
+    forgetDomainOptions(settings, domain);
     await saveSettings(settings);
-    renderDomainList(settings.domains);
+    await releaseDomainPermission(domain, settings.domains);
+    renderDomainList(settings);
+    renderTemplateScopes(settings);
+    renderTemplateEditor(settings);
     showStatus('Domain removed', 'success');
 }
 
+/**
+ * Give back host access no remaining domain pattern needs
+ */
+async function releaseDomainPermission(domain, remainingDomains) {
+    const required = chrome.runtime.getManifest().host_permissions || [];
+    const origins = GHLDomainPatterns.getReleasableOrigins([domain], remainingDomains, required);
+    if (origins.length === 0) return;
+
+    try {
+        await chrome.permissions.remove({ origins });
+    } catch (e) {
+        console.log('[GHL Tab Title] Could not release permission:', origins, e.message);
+    }
+}
+
+/**
+ * Switch a domain pattern between include and exclude
+ */
+async function toggleDomainMode(domain) {
+    const toggled = GHLDomainPatterns.isExclude(domain) ? domain.slice(1).trim() : `!${domain}`;
+    if (!checkPatternScope(toggled)) return;
+
+    // Including a pattern needs host access, asked for while the click counts as a user gesture
+    const origins = GHLDomainPatterns.toOriginPatterns(toggled);
+    if (origins.length > 0 && !await chrome.permissions.request({ origins })) {
+        showStatus('Access to this domain was not granted', 'error');
+        return;
+    }
+
+    const settings = await loadSettings();
+
+    if (settings.domains.includes(toggled)) {
+        showStatus('Domain already added', 'error');
+        return;
+    }
+
+    settings.domains = settings.domains.map(d => d === domain ? toggled : d);
+    forgetDomainOptions(settings, domain);
+    await saveSettings(settings);
+    await releaseDomainPermission(domain, settings.domains);
+    renderDomainList(settings);
+    renderTemplateScopes(settings);
+    renderTemplateEditor(settings);
+    showStatus(GHLDomainPatterns.isExclude(toggled) ? 'Domain excluded' : 'Domain included', 'success');
+}
+
+/**
+ * Render the brand name list
+ */
+function renderBrandList(settings) {
+    const { brands, brandIcons } = settings;
+    const entries = Object.entries(brands)
+        .sort((a, b) => a[1].localeCompare(b[1]));
+
+    if (entries.length === 0) {
+        brandList.innerHTML = '<div class="empty-state">No brand names configured yet</div>';
+        return;
+    }
+
+    brandList.innerHTML = entries.map(([locationId, name]) => {
+        const icon = brandIcons[locationId];
+        const color = ICON_COLOR_PATTERN.test(icon?.color) ? icon.color : '';
+        return `
+    <div class="domain-item" data-location-id="${escapeHtml(locationId)}">
+      <div class="brand-info">
+        <span class="brand-name" title="Edit brand name">${escapeHtml(name)}</span>
+        <span class="brand-id">${escapeHtml(locationId)}</span>
+      </div>
+      <div class="domain-actions">
+        <input type="color" class="icon-color ${color ? '' : 'unset'}"
+          value="${escapeHtml(color || DEFAULT_ICON_COLOR)}" title="Favicon color">
+        <input type="text" class="icon-monogram" maxlength="2"
+          value="${escapeHtml(icon?.monogram || '')}" placeholder="${escapeHtml(getInitials(name))}" title="Favicon letters">
+        ${icon ? '<button class="btn-link btn-reset-icon" title="Use the page favicon">⟲</button>' : ''}
+        <button class="btn-remove" title="Remove brand">✕</button>
+      </div>
+    </div>
+  `;
+    }).join('');
+
+    brandList.querySelectorAll('.icon-color, .icon-monogram').forEach(input => {
+        input.addEventListener('change', async (e) => {
+            const item = e.target.closest('.domain-item');
+            await saveBrandIcon(item.dataset.locationId, {
+                color: item.querySelector('.icon-color').value,
+                monogram: item.querySelector('.icon-monogram').value.trim().toUpperCase()
+            });
+        });
+    });
+
+    brandList.querySelectorAll('.btn-reset-icon').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            await saveBrandIcon(e.target.closest('.domain-item').dataset.locationId, null);
+        });
+    });
+
+    // Clicking a name loads it into the form for editing
+    brandList.querySelectorAll('.brand-name').forEach(el => {
+        el.addEventListener('click', (e) => {
+            const locationId = e.target.closest('.domain-item').dataset.locationId;
+            locationIdInput.value = locationId;
+            brandNameInput.value = brands[locationId];
+            brandNameInput.focus();
+        });
+    });
+
+    // Add remove handlers
+    brandList.querySelectorAll('.btn-remove').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const item = e.target.closest('.domain-item');
+            await removeBrand(item.dataset.locationId);
+        });
+    });
+}
+
+/**
+ * Add or rename a brand
+ */
+async function saveBrand() {
+    const locationId = locationIdInput.value.trim();
+    const name = brandNameInput.value.trim();
+
+    if (!locationId || !name) {
+        showStatus('Please enter a location ID and name', 'error');
+        return;
+    }
+
+    if (!/^[A-Za-z0-9_-]+$/.test(locationId)) {
+        showStatus('Invalid location ID format', 'error');
+        return;
+    }
+
+    const settings = await loadSettings();
+    const isUpdate = locationId in settings.brands;
+
+    settings.brands = { ...settings.brands, [locationId]: name };
+    await saveSettings(settings);
+
+    locationIdInput.value = '';
+    brandNameInput.value = '';
+    await refreshBrandLists();
+    showStatus(isUpdate ? 'Brand updated!' : 'Brand added!', 'success');
+}
+
+/**
+ * Remove a brand
+ */
+async function removeBrand(locationId) {
+    const settings = await loadSettings();
+    const { [locationId]: removed, ...brands } = settings.brands;
+    const { [locationId]: removedIcon, ...brandIcons } = settings.brandIcons;
+    settings.brands = brands;
+    settings.brandIcons = brandIcons;
+    await saveSettings(settings);
+    await refreshBrandLists();
+    showStatus('Brand removed', 'success');
+}
+
+/**
+ * Get 1-2 letter initials for a brand name
+ */
+function getInitials(name) {
+    return name.split(/\s+/)
+        .filter(word => word)
+        .map(word => word[0])
+        .join('')
+        .substring(0, 2)
+        .toUpperCase();
+}
+
+/**
+ * Save or clear the generated favicon for a brand
+ */
+async function saveBrandIcon(locationId, icon) {
+    const settings = await loadSettings();
+    const { [locationId]: previous, ...brandIcons } = settings.brandIcons;
+    settings.brandIcons = icon ? { ...brandIcons, [locationId]: icon } : brandIcons;
+    await saveSettings(settings);
+    await refreshBrandLists();
+    showStatus(icon ? 'Favicon updated!' : 'Favicon reset', 'success');
+}
+
+/**
+ * Render the learned brand name list
+ */
+function renderLearnedList(learned, brands) {
+    const entries = Object.entries(learned)
+        .filter(([locationId]) => !(locationId in brands))
+        .sort((a, b) => a[1].localeCompare(b[1]));
+
+    if (entries.length === 0) {
+        learnedList.innerHTML = '<div class="empty-state">No names learned yet</div>';
+        return;
+    }
+
+    learnedList.innerHTML = entries.map(([locationId, name]) => `
+    <div class="domain-item" data-location-id="${escapeHtml(locationId)}">
+      <div class="brand-info">
+        <span class="brand-name" title="Override brand name">${escapeHtml(name)}</span>
+        <span class="brand-id">${escapeHtml(locationId)}</span>
+      </div>
+      <button class="btn-promote" title="Keep as brand name">↑</button>
+    </div>
+  `).join('');
+
+    // Clicking a name loads it into the brand form to override it
+    learnedList.querySelectorAll('.brand-name').forEach(el => {
+        el.addEventListener('click', (e) => {
+            const locationId = e.target.closest('.domain-item').dataset.locationId;
+            locationIdInput.value = locationId;
+            brandNameInput.value = learned[locationId];
+            brandNameInput.focus();
+        });
+    });
+
+    learnedList.querySelectorAll('.btn-promote').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            const locationId = e.target.closest('.domain-item').dataset.locationId;
+            await promoteLearnedBrand(locationId, learned[locationId]);
+        });
+    });
+}
+
+/**
+ * Re-render both brand lists from storage
+ */
+async function refreshBrandLists() {
+    const settings = await loadSettings();
+    const learned = await loadLearnedBrands();
+    renderBrandList(settings);
+    renderLearnedList(learned, settings.brands);
+}
+
+/**
+ * Copy a learned name into the manual brand mapping
+ */
+async function promoteLearnedBrand(locationId, name) {
+    const settings = await loadSettings();
+    settings.brands = { ...settings.brands, [locationId]: name };
+    await saveSettings(settings);
+    await refreshBrandLists();
+    showStatus('Brand added!', 'success');
+}
+
+/**
+ * Forget all learned brand names
+ */
+async function clearLearnedBrands() {
+    await chrome.storage.local.remove('learnedBrands');
+    await refreshBrandLists();
+    showStatus('Learned names cleared', 'success');
+}
+
+/**
+ * Render the template scope options (all domains + each configured domain)
+ */
+function renderTemplateScopes(settings) {
+    const selected = templateScope.value;
+
+    const domains = settings.domains.filter(domain => !GHLDomainPatterns.isExclude(domain));
+
+    templateScope.innerHTML = '<option value="">All domains</option>' +
+        domains.map(domain => `
+    <option value="${escapeHtml(domain)}">${escapeHtml(domain)}${settings.templates[domain] ? ' (custom)' : ''}</option>
+  `).join('');
+
+    templateScope.value = domains.includes(selected) ? selected : '';
+}
+
+/**
+ * Show the template for the selected scope
+ */
+function renderTemplateEditor(settings) {
+    const domain = templateScope.value;
+    templateInput.value = domain
+        ? settings.templates[domain] || ''
+        : settings.titleTemplate;
+    templateInput.placeholder = domain
+        ? settings.titleTemplate
+        : GHLTitleTemplate.DEFAULT_TEMPLATE;
+    renderTemplatePreview();
+}
+
+/**
+ * Render the live preview for the template being edited
+ */
+function renderTemplatePreview() {
+    const template = templateInput.value.trim() || templateInput.placeholder;
+    const values = { ...SAMPLE_TITLE_VALUES };
+    if (templateScope.value) {
+        values.host = templateScope.value;
+    }
+    templatePreview.textContent = GHLTitleTemplate.render(template, values);
+}
+
+/**
+ * Save the template for the selected scope
+ */
+async function saveTemplate() {
+    const domain = templateScope.value;
+    const template = templateInput.value.trim();
+    const settings = await loadSettings();
+
+    if (domain) {
+        // An empty per-domain template falls back to the default one
+        const { [domain]: previous, ...templates } = settings.templates;
+        settings.templates = template ? { ...templates, [domain]: template } : templates;
+    } else {
+        settings.titleTemplate = template || GHLTitleTemplate.DEFAULT_TEMPLATE;
+    }
+
+    await saveSettings(settings);
+    renderTemplateScopes(settings);
+    renderTemplateEditor(settings);
+    showStatus('Template saved!', 'success');
+}
+
 /**
  * Toggle extension enabled state
  */
@@ -127,6 +724,504 @@ async function toggleEnabled() {
     showStatus(settings.enabled ? 'Enabled' : 'Disabled', 'success');
 }
 
+/**
+ * Fuzzy-match a query against text: every character must appear in order.
+ * Returns -1 for no match; consecutive and word-start hits score higher.
+ */
+function fuzzyScore(query, text) {
+    const haystack = text.toLowerCase();
+    let score = 0;
+    let last = -1;
+
+    for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+        const index = haystack.indexOf(char, last + 1);
+        if (index === -1) return -1;
+
+        score += index === last + 1 ? 3 : 1;
+        if (index === 0 || /[\s·|:/-]/.test(haystack[index - 1])) score += 2;
+        last = index;
+    }
+    return score;
+}
+
+/**
+ * Entity line and module / sub-account line for a switcher entry
+ */
+function describeSwitcherTab({ info }) {
+    return {
+        entity: info.context.entity || info.context.text,
+        meta: [info.context.subView, info.context.module, info.brandName].filter(Boolean).join(' · ')
+    };
+}
+
+/**
+ * Render the open tabs matching the switcher query
+ */
+function renderSwitcher() {
+    const query = switcherInput.value.trim();
+    switcherResults = switcherTabs
+        .map(tab => {
+            const { entity, meta } = describeSwitcherTab(tab);
+            return { tab, score: query ? fuzzyScore(query, `${entity} · ${meta}`) : 0 };
+        })
+        .filter(result => result.score >= 0)
+        .sort((a, b) => b.score - a.score)
+        .map(result => result.tab);
+    switcherSelection = Math.min(switcherSelection, Math.max(switcherResults.length - 1, 0));
+
+    if (switcherResults.length === 0) {
+        switcherList.innerHTML = '<div class="empty-state">No matching tabs</div>';
+        return;
+    }
+
+    switcherList.innerHTML = switcherResults.map((tab, index) => {
+        const { entity, meta } = describeSwitcherTab(tab);
+        return `
+    <div class="switcher-item ${index === switcherSelection ? 'selected' : ''}" data-index="${index}" title="${escapeHtml(tab.info.title || '')}">
+      <span class="switcher-entity">${escapeHtml(entity)}</span>
+      <span class="switcher-meta">${escapeHtml(meta)}</span>
+    </div>
+  `;
+    }).join('');
+
+    switcherList.querySelectorAll('.switcher-item').forEach(item => {
+        item.addEventListener('click', () => {
+            focusTab(switcherResults[Number(item.dataset.index)].tabId);
+        });
+    });
+    switcherList.querySelector('.selected')?.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Move the switcher highlight with the arrow keys, open it with Enter
+ */
+function handleSwitcherKeys(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        switcherSelection = Math.min(Math.max(switcherSelection + step, 0), Math.max(switcherResults.length - 1, 0));
+        renderSwitcher();
+    } else if (e.key === 'Enter' && switcherResults[switcherSelection]) {
+        focusTab(switcherResults[switcherSelection].tabId);
+    }
+}
+
+/**
+ * Bring a tab and its window to the front
+ */
+async function focusTab(tabId) {
+    try {
+        const tab = await chrome.tabs.update(tabId, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+    } catch (e) {
+        showStatus('That tab was closed', 'error');
+        return;
+    }
+    window.close();
+}
+
+/**
+ * Load the open GHL tabs reported by the content scripts
+ */
+async function renderSwitcherSection() {
+    const result = await chrome.storage.session.get('tabIndex');
+    switcherTabs = Object.entries(result.tabIndex || {})
+        .filter(([, info]) => info.context)
+        .map(([tabId, info]) => ({ tabId: Number(tabId), info }))
+        .sort((a, b) => (a.info.brandName || '').localeCompare(b.info.brandName || ''));
+
+    switcherSection.hidden = switcherTabs.length === 0;
+    renderSwitcher();
+}
+
+/**
+ * Load the recently visited entities recorded by the background worker
+ */
+async function loadEntityHistory() {
+    const result = await chrome.storage.local.get('entityHistory');
+    return result.entityHistory || [];
+}
+
+/**
+ * Short relative time, e.g. "5m ago"
+ */
+function formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+}
+
+/**
+ * Render the history grouped by sub-account, pinned entries first
+ */
+async function renderHistoryList() {
+    const history = await loadEntityHistory();
+    const query = historyInput.value.trim();
+    const matches = history.filter(entry => !query ||
+        fuzzyScore(query, [entry.entity, entry.module, entry.brandName].filter(Boolean).join(' · ')) >= 0);
+
+    if (matches.length === 0) {
+        historyList.innerHTML = query
+            ? '<div class="empty-state">No matching entries</div>'
+            : '<div class="empty-state">No contacts, workflows or forms visited yet</div>';
+        return;
+    }
+
+    const groups = new Map();
+    for (const entry of matches) {
+        const group = entry.brandName || entry.locationId || 'Unknown sub-account';
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(entry);
+    }
+
+    historyList.innerHTML = [...groups].map(([group, entries]) => `
+    <div class="history-group">${escapeHtml(group)}</div>
+    ${entries.sort((a, b) => b.pinned - a.pinned).map(entry => `
+    <div class="domain-item" data-key="${escapeHtml(entry.key)}" data-url="${escapeHtml(entry.url)}">
+      <div class="brand-info">
+        <span class="brand-name" title="Reopen">${escapeHtml(entry.entity)}</span>
+        <span class="brand-id">${escapeHtml([entry.module, formatAge(entry.visitedAt)].filter(Boolean).join(' · '))}</span>
+      </div>
+      <button class="btn-pin ${entry.pinned ? 'active' : ''}" title="${entry.pinned ? 'Unpin' : 'Pin'}">📌</button>
+    </div>
+  `).join('')}
+  `).join('');
+
+    historyList.querySelectorAll('.brand-name').forEach(el => {
+        el.addEventListener('click', (e) => {
+            chrome.tabs.create({ url: e.target.closest('.domain-item').dataset.url });
+        });
+    });
+
+    historyList.querySelectorAll('.btn-pin').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            toggleHistoryPin(e.target.closest('.domain-item').dataset.key);
+        });
+    });
+}
+
+/**
+ * Pin or unpin a history entry (pinned entries survive the cap and Clear)
+ */
+async function toggleHistoryPin(key) {
+    const history = await loadEntityHistory();
+    const entry = history.find(item => item.key === key);
+    if (!entry) return;
+
+    entry.pinned = !entry.pinned;
+    await chrome.storage.local.set({ entityHistory: history });
+    await renderHistoryList();
+}
+
+/**
+ * Clear the history, keeping pinned entries
+ */
+async function clearEntityHistory() {
+    const history = await loadEntityHistory();
+    await chrome.storage.local.set({ entityHistory: history.filter(entry => entry.pinned) });
+    await renderHistoryList();
+    showStatus('History cleared', 'success');
+}
+
+/**
+ * Ask the active tab's content script what it is showing (top frame only)
+ */
+async function getActiveTabState() {
+    [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab) return null;
+
+    try {
+        return await chrome.tabs.sendMessage(activeTab.id, { type: 'GHL_GET_STATE' }, { frameId: 0 });
+    } catch (e) {
+        // No content script on this tab
+        return null;
+    }
+}
+
+/**
+ * Load the per-tab overrides and paused sites
+ */
+async function loadOverrides() {
+    const result = await chrome.storage.session.get(['tabOverrides', 'pausedSites']);
+    return {
+        tabs: result.tabOverrides || {},
+        sites: result.pausedSites || []
+    };
+}
+
+/**
+ * Render the active tab's context, brand and overrides
+ */
+async function renderTabSection() {
+    activeTabState = await getActiveTabState();
+    tabSection.hidden = !activeTabState;
+    if (!activeTabState) return;
+
+    const { context, brandName, host, override } = activeTabState;
+    tabContext.textContent = context
+        ? [context.text, context.module].filter(Boolean).join(' · ')
+        : 'No context found on this page';
+    tabBrand.textContent = brandName || '';
+    tabHost.textContent = host;
+    pauseTabToggle.checked = override.paused;
+    pauseSiteToggle.checked = override.sitePaused;
+    manualTitleInput.value = override.manualTitle || '';
+
+    await renderDuplicateWarning();
+}
+
+/**
+ * Warn when the active tab's entity (same location and entity ID) is open in another tab
+ */
+async function renderDuplicateWarning() {
+    const result = await chrome.storage.session.get('tabIndex');
+    const tabIndex = result.tabIndex || {};
+    const info = tabIndex[activeTab.id];
+
+    const others = !info?.locationId || !info.entityId ? [] : Object.entries(tabIndex)
+        .filter(([tabId, entry]) =>
+            Number(tabId) !== activeTab.id &&
+            entry.locationId === info.locationId &&
+            entry.entityId === info.entityId)
+        .map(([tabId]) => Number(tabId));
+
+    // The index can briefly outlive a tab; only point at one that still exists
+    duplicateOfTabId = null;
+    for (const tabId of others) {
+        try {
+            await chrome.tabs.get(tabId);
+            duplicateOfTabId = tabId;
+            break;
+        } catch (e) { }
+    }
+    duplicateWarning.hidden = !duplicateOfTabId;
+}
+
+/**
+ * Close the active tab in favor of the one already showing its entity
+ */
+async function closeDuplicateTab() {
+    await chrome.tabs.remove(activeTab.id);
+}
+
+/**
+ * Merge changes into the active tab's override
+ */
+async function updateTabOverride(changes) {
+    const overrides = await loadOverrides();
+    const updated = { ...overrides.tabs[activeTab.id], ...changes };
+
+    if (!updated.paused && !updated.manualTitle) {
+        delete overrides.tabs[activeTab.id];
+    } else {
+        overrides.tabs[activeTab.id] = updated;
+    }
+    await chrome.storage.session.set({ tabOverrides: overrides.tabs });
+}
+
+/**
+ * Pause or resume retitling on the active tab
+ */
+async function togglePauseTab() {
+    await updateTabOverride({ paused: pauseTabToggle.checked });
+    showStatus(pauseTabToggle.checked ? 'Paused on this tab' : 'Resumed on this tab', 'success');
+}
+
+/**
+ * Pause or resume retitling on every tab of the active tab's site
+ */
+async function togglePauseSite() {
+    const host = activeTabState.host;
+    const overrides = await loadOverrides();
+    const sites = overrides.sites.filter(site => site !== host);
+    if (pauseSiteToggle.checked) {
+        sites.push(host);
+    }
+    await chrome.storage.session.set({ pausedSites: sites });
+    showStatus(pauseSiteToggle.checked ? `Disabled on ${host}` : `Enabled on ${host}`, 'success');
+}
+
+/**
+ * Pin a manual title on the active tab (empty clears it)
+ */
+async function pinManualTitle() {
+    const manualTitle = manualTitleInput.value.trim();
+    await updateTabOverride({ manualTitle: manualTitle || null });
+    showStatus(manualTitle ? 'Title pinned' : 'Pinned title cleared', 'success');
+}
+
+/**
+ * Start the element picker in every frame of the active tab; the page takes
+ * focus, so the popup closes and the picker saves the rule itself
+ */
+async function startElementPicker() {
+    try {
+        await chrome.tabs.sendMessage(activeTab.id, { type: 'GHL_START_PICKER' });
+    } catch (e) {
+        showStatus('Could not start the picker on this tab', 'error');
+        return;
+    }
+    window.close();
+}
+
+/**
+ * Render one strategy attempt: selector, raw and cleaned text, and why it was rejected
+ */
+function renderAttempt(attempt) {
+    const label = [attempt.rule, attempt.selector].filter(Boolean).join(' → ');
+    const text = attempt.text == null ? '' : ` "${attempt.text}"`;
+    const cleaned = attempt.cleaned && attempt.cleaned !== attempt.text ? ` ⇒ "${attempt.cleaned}"` : '';
+
+    if (!attempt.reason) {
+        return `<div class="diag-hit">✓ ${escapeHtml(label + text + cleaned)}</div>`;
+    }
+    return `<div class="diag-miss">✗ ${escapeHtml(`${label}${text} — ${attempt.reason}`)}</div>`;
+}
+
+/**
+ * Render one frame's strategy trace
+ */
+function renderFrameDiagnostics(frame) {
+    if (frame.missing) {
+        return `
+      <h3>Frame: ${escapeHtml(frame.frame)} (no content script)</h3>
+      <div>${escapeHtml(frame.url)}</div>
+    `;
+    }
+
+    const strategies = frame.strategies.map(entry => `
+      <div>${escapeHtml(entry.strategy)}</div>
+      ${entry.attempts.map(renderAttempt).join('')}
+      ${entry.error ? `<div class="diag-error">! ${escapeHtml(entry.error)}</div>` : ''}
+    `).join('');
+
+    return `
+      <h3>Frame: ${escapeHtml(frame.frame)}${frame.active ? '' : ' (inactive)'}</h3>
+      <div>${escapeHtml(frame.url)}</div>
+      <div>Location ID: ${escapeHtml(frame.locationId || 'none')}${frame.locationSource ? ` (from ${escapeHtml(frame.locationSource)})` : ''}</div>
+      <div>Context: ${frame.context ? escapeHtml(`${frame.context.text} (${frame.context.strategy})`) : 'none'}</div>
+      ${strategies}
+    `;
+}
+
+/**
+ * Ask every iframe of a tab for its strategy trace, including frames that
+ * found no context and frames the content script doesn't run in. Frames are
+ * listed by running a one-line script in each frame the extension can access.
+ */
+async function collectFrameDiagnostics(tabId) {
+    let frames = [];
+    try {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId, allFrames: true },
+            func: () => window.location.href
+        });
+        frames = results.map(result => ({ frameId: result.frameId, url: result.result || '' }));
+    } catch (e) { }
+
+    return Promise.all(frames.filter(frame => frame.frameId !== 0).map(async frame => {
+        try {
+            const diagnostics = await chrome.tabs.sendMessage(tabId, { type: 'GHL_GET_FRAME_DIAGNOSTICS' },
+                { frameId: frame.frameId });
+            if (diagnostics) return diagnostics;
+        } catch (e) { }
+
+        let origin = frame.url;
+        try {
+            origin = new URL(frame.url).origin;
+        } catch (e) { }
+        return { frame: origin, url: frame.url, missing: true };
+    }));
+}
+
+/**
+ * Show how the active tab arrived at its title
+ */
+async function toggleDiagnostics() {
+    if (!diagnosticsPanel.hidden) {
+        diagnosticsPanel.hidden = true;
+        return;
+    }
+
+    let diagnostics = null;
+    try {
+        diagnostics = await chrome.tabs.sendMessage(activeTab.id, { type: 'GHL_GET_DIAGNOSTICS' }, { frameId: 0 });
+        if (diagnostics) {
+            diagnostics.frames.push(...await collectFrameDiagnostics(activeTab.id));
+        }
+    } catch (e) { }
+
+    if (!diagnostics) {
+        diagnosticsPanel.innerHTML = '<div class="diag-error">No diagnostics from this tab</div>';
+    } else {
+        const candidates = diagnostics.candidates.map(candidate => `
+          <div class="${candidate.winner ? 'diag-hit' : 'diag-miss'}">
+            ${candidate.winner ? '★' : '·'} ${escapeHtml(`${candidate.frame}: "${candidate.text}" (${candidate.strategy}, priority ${candidate.priority}, visibility ${candidate.visibility.toFixed(2)})`)}
+          </div>
+        `).join('');
+        const pinned = diagnostics.override.manualTitle ? ' (pinned)' : '';
+
+        diagnosticsPanel.innerHTML = `
+          <h3>Title${pinned}</h3>
+          <div>${escapeHtml(diagnostics.title)}</div>
+          <h3>Frame candidates</h3>
+          ${candidates || '<div class="diag-miss">none</div>'}
+          ${diagnostics.frames.map(renderFrameDiagnostics).join('')}
+        `;
+    }
+    diagnosticsPanel.hidden = false;
+}
+
+/**
+ * Turn automatic tab groups per sub-account on or off
+ */
+async function toggleGroupTabs() {
+    const settings = await loadSettings();
+    settings.groupTabs = groupTabsToggle.checked;
+    await saveSettings(settings);
+    showStatus(settings.groupTabs ? 'Tabs grouped by sub-account' : 'Tab grouping off', 'success');
+}
+
+/**
+ * Turn the duplicate-tab title marker on or off
+ */
+async function toggleMarkDuplicates() {
+    const settings = await loadSettings();
+    settings.markDuplicates = duplicateToggle.checked;
+    await saveSettings(settings);
+    showStatus(settings.markDuplicates ? 'Duplicate tabs marked' : 'Duplicate marker off', 'success');
+}
+
+/**
+ * Save the privacy mode options; every open tab re-titles from the storage change
+ */
+async function savePrivacyMode() {
+    const settings = await loadSettings();
+    settings.privacyMask = privacyMaskSelect.value;
+    settings.privacyHideBrand = privacyBrandToggle.checked;
+    await saveSettings(settings);
+
+    const privacyMode = privacyToggle.checked;
+    await chrome.storage.local.set({ privacyMode });
+    showPrivacyMode(privacyMode);
+    showStatus(privacyMode ? 'Names masked in tab titles' : 'Privacy mode off', 'success');
+}
+
+/**
+ * Save the unsaved-changes marker options
+ */
+async function saveUnsavedMarker() {
+    const settings = await loadSettings();
+    settings.showUnsavedMarker = unsavedToggle.checked;
+    settings.unsavedMarker = unsavedMarkerInput.value.trim() || DEFAULT_SETTINGS.unsavedMarker;
+    unsavedMarkerInput.value = settings.unsavedMarker;
+    await saveSettings(settings);
+    showStatus(settings.showUnsavedMarker ? 'Unsaved marker on' : 'Unsaved marker off', 'success');
+}
+
 /**
  * Initialize popup
  */
@@ -134,7 +1229,23 @@ async function init() {
     const settings = await loadSettings();
 
     enableToggle.checked = settings.enabled;
-    renderDomainList(settings.domains);
+    unsavedToggle.checked = settings.showUnsavedMarker;
+    unsavedMarkerInput.value = settings.unsavedMarker;
+    unreadToggle.checked = settings.showUnreadCount;
+    groupTabsToggle.checked = settings.groupTabs;
+    duplicateToggle.checked = settings.markDuplicates;
+    const privacyMode = await loadPrivacyMode();
+    privacyToggle.checked = privacyMode;
+    privacyMaskSelect.value = settings.privacyMask;
+    privacyBrandToggle.checked = settings.privacyHideBrand;
+    showPrivacyMode(privacyMode);
+    renderDomainList(settings);
+    await refreshBrandLists();
+    renderTemplateScopes(settings);
+    renderTemplateEditor(settings);
+    await renderTabSection();
+    await renderSwitcherSection();
+    await renderHistoryList();
 
     // Event listeners
     enableToggle.addEventListener('change', toggleEnabled);
@@ -142,6 +1253,48 @@ async function init() {
     domainInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') addDomain();
     });
+    addBrandBtn.addEventListener('click', saveBrand);
+    clearLearnedBtn.addEventListener('click', clearLearnedBrands);
+    templateScope.addEventListener('change', async () => {
+        renderTemplateEditor(await loadSettings());
+    });
+    templateInput.addEventListener('input', renderTemplatePreview);
+    saveTemplateBtn.addEventListener('click', saveTemplate);
+    optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    unsavedToggle.addEventListener('change', saveUnsavedMarker);
+    unsavedMarkerInput.addEventListener('change', saveUnsavedMarker);
+    unreadToggle.addEventListener('change', toggleUnreadCount);
+    groupTabsToggle.addEventListener('change', toggleGroupTabs);
+    duplicateToggle.addEventListener('change', toggleMarkDuplicates);
+    privacyToggle.addEventListener('change', savePrivacyMode);
+    privacyMaskSelect.addEventListener('change', savePrivacyMode);
+    privacyBrandToggle.addEventListener('change', savePrivacyMode);
+    gotoDuplicateBtn.addEventListener('click', () => focusTab(duplicateOfTabId));
+    closeDuplicateBtn.addEventListener('click', closeDuplicateTab);
+    switcherInput.addEventListener('input', () => {
+        switcherSelection = 0;
+        renderSwitcher();
+    });
+    switcherInput.addEventListener('keydown', handleSwitcherKeys);
+    historyInput.addEventListener('input', renderHistoryList);
+    clearHistoryBtn.addEventListener('click', clearEntityHistory);
+    pauseTabToggle.addEventListener('change', togglePauseTab);
+    pauseSiteToggle.addEventListener('change', togglePauseSite);
+    pinTitleBtn.addEventListener('click', pinManualTitle);
+    pickerBtn.addEventListener('click', startElementPicker);
+    diagnosticsBtn.addEventListener('click', toggleDiagnostics);
+    manualTitleInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') pinManualTitle();
+    });
+    templateInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') saveTemplate();
+    });
+    brandNameInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') saveBrand();
+    });
+
+    // Opened from the keyboard shortcut: start typing right away
+    if (!switcherSection.hidden) switcherInput.focus();
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,361 @@
+/**
+ * GHL Tab Title - Settings Profiles
+ * Versioned export/import of the full configuration, used by the options page
+ * (requires domain-patterns.js and extraction-rules.js)
+ */
+
+(function () {
+    'use strict';
+
+    const FORMAT = 'ghl-tab-title-profile';
+    const VERSION = 1;
+
+    // Settings shared through a profile ("enabled" stays per machine)
+    const SETTINGS_KEYS = [
+        'domains',
+        'brands',
+        'titleTemplate',
+        'templates',
+        'showUnsavedMarker',
+        'unsavedMarker',
+        'showUnreadCount',
+        'unreadDomains',
+        'brandIcons',
+        'groupTabs',
+        'markDuplicates',
+        'privacyMask',
+        'privacyHideBrand'
+    ];
+
+    // Settings holding a pattern / location ID -> value mapping
+    const MAP_KEYS = ['brands', 'templates', 'unreadDomains', 'brandIcons'];
+
+    // Favicon colors, as the popup's color input writes them
+    const ICON_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+    /**
+     * Build a profile from the current settings and extraction rules. Rules
+     * are exported as changes to the shipped rules (as they are stored), so
+     * importing an older profile doesn't drop rules shipped since.
+     */
+    function create(settings, extractionRules) {
+        const shared = {};
+        for (const key of SETTINGS_KEYS) {
+            if (settings[key] !== undefined) shared[key] = settings[key];
+        }
+
+        return {
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: shared,
+            extractionRules: GHLExtractionRules.toStorage(extractionRules)
+        };
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isTextList(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+
+    /**
+     * The rules a profile changes or adds (removed shipped rules aside)
+     */
+    function getChangedRules(stored) {
+        return [
+            ...(stored.custom || []),
+            ...Object.values(stored.overrides || {}).filter(rule => !rule.removed)
+        ];
+    }
+
+    /**
+     * Check the rule changes of a profile: their shape, each rule's field
+     * types, and the rules they add up to with the shipped ones
+     */
+    function validateRules(stored) {
+        if (!isPlainObject(stored)) return ['extractionRules must be an object'];
+
+        const errors = [];
+        if (stored.custom !== undefined && !Array.isArray(stored.custom)) {
+            errors.push('extractionRules.custom must be a list');
+        }
+        if (stored.overrides !== undefined && !isPlainObject(stored.overrides)) {
+            errors.push('extractionRules.overrides must be an object');
+        }
+        if (stored.order !== undefined && !isTextList(stored.order)) {
+            errors.push('extractionRules.order must be a list of rule names');
+        }
+        if (errors.length > 0) return errors;
+
+        // Only shipped rules can be marked removed
+        const entries = [
+            ...(stored.custom || []).map((rule, index) => [`Rule ${index + 1}`, rule, false]),
+            ...Object.entries(stored.overrides || {}).map(([name, rule]) => [`Rule ${name}`, rule, true])
+        ];
+        for (const [label, rule, isOverride] of entries) {
+            if (!isPlainObject(rule)) {
+                errors.push(`${label}: not an object`);
+            } else if (!(isOverride && rule.removed)) {
+                checkRuleTypes(rule).forEach(error => errors.push(`${label}: ${error}`));
+            }
+        }
+        Object.entries(stored.overrides || {})
+            .filter(([name, rule]) => isPlainObject(rule) && rule.name !== name)
+            .forEach(([name]) => errors.push(`Rule ${name}: name doesn't match its key`));
+        if (errors.length > 0) return errors;
+
+        const rules = GHLExtractionRules.fromStorage(stored);
+        getChangedRules(stored).forEach(rule => {
+            GHLExtractionRules.validate(rule, rules)
+                .forEach(error => errors.push(`Rule ${rule.name || '(unnamed)'}: ${error}`));
+        });
+        return errors;
+    }
+
+    /**
+     * Check the field types of an imported rule (the rule editor always
+     * writes the right types, a hand-edited profile may not)
+     */
+    function checkRuleTypes(rule) {
+        const errors = [];
+        for (const key of ['name', 'module']) {
+            if (rule[key] !== undefined && typeof rule[key] !== 'string') {
+                errors.push(`${key} must be text`);
+            }
+        }
+        for (const key of ['paths', 'selectors', 'rejectWords']) {
+            if (rule[key] !== undefined && !isTextList(rule[key])) {
+                errors.push(`${key} must be a list of text`);
+            }
+        }
+        for (const key of ['minLength', 'maxLength']) {
+            if (rule[key] != null && !Number.isFinite(rule[key])) {
+                errors.push(`${key} must be a number`);
+            }
+        }
+        for (const key of ['requireReadable', 'personal', 'enabled']) {
+            if (rule[key] !== undefined && typeof rule[key] !== 'boolean') {
+                errors.push(`${key} must be true or false`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Check a profile for problems before it is imported
+     */
+    function validate(profile) {
+        if (!isPlainObject(profile)) return ['Profile is not a JSON object'];
+
+        const errors = [];
+        if (profile.format !== FORMAT) {
+            errors.push('Not a GHL Tab Title profile');
+        }
+        if (!Number.isInteger(profile.version) || profile.version < 1) {
+            errors.push('Profile version is missing');
+        } else if (profile.version > VERSION) {
+            errors.push(`Profile version ${profile.version} is newer than this extension supports`);
+        }
+
+        const settings = profile.settings;
+        if (!isPlainObject(settings)) {
+            errors.push('Profile has no settings');
+        } else {
+            if (settings.domains !== undefined) {
+                if (!Array.isArray(settings.domains)) {
+                    errors.push('domains must be a list');
+                } else {
+                    settings.domains
+                        .filter(domain => typeof domain !== 'string' || !GHLDomainPatterns.isValid(domain))
+                        .forEach(domain => errors.push(`Invalid domain pattern: ${domain}`));
+                    settings.domains
+                        .filter(domain => typeof domain === 'string' && GHLDomainPatterns.isTooBroad(domain))
+                        .forEach(domain => errors.push(`Domain pattern matches too many sites: ${domain}`));
+                }
+            }
+            for (const key of MAP_KEYS) {
+                if (settings[key] !== undefined && !isPlainObject(settings[key])) {
+                    errors.push(`${key} must be an object`);
+                }
+            }
+            if (isPlainObject(settings.brands) &&
+                Object.values(settings.brands).some(name => typeof name !== 'string')) {
+                errors.push('Brand names must be text');
+            }
+            if (isPlainObject(settings.brandIcons)) {
+                const icons = Object.values(settings.brandIcons);
+                if (icons.some(icon => !isPlainObject(icon) ||
+                    (icon.monogram !== undefined && typeof icon.monogram !== 'string'))) {
+                    errors.push('Favicons must be objects with a color and monogram text');
+                } else if (icons.some(icon => icon.color !== undefined && !ICON_COLOR_PATTERN.test(icon.color))) {
+                    errors.push('Favicon colors must look like #6366f1');
+                }
+            }
+            if (isPlainObject(settings.unreadDomains) &&
+                Object.values(settings.unreadDomains).some(enabled => typeof enabled !== 'boolean')) {
+                errors.push('Unread count per domain must be true or false');
+            }
+            if (isPlainObject(settings.templates) &&
+                Object.values(settings.templates).some(template => typeof template !== 'string')) {
+                errors.push('Templates must be text');
+            }
+            for (const key of ['titleTemplate', 'unsavedMarker', 'privacyMask']) {
+                if (settings[key] !== undefined && typeof settings[key] !== 'string') {
+                    errors.push(`${key} must be text`);
+                }
+            }
+            for (const key of ['showUnsavedMarker', 'showUnreadCount', 'groupTabs', 'markDuplicates', 'privacyHideBrand']) {
+                if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
+                    errors.push(`${key} must be true or false`);
+                }
+            }
+        }
+
+        if (profile.extractionRules !== undefined) {
+            errors.push(...validateRules(profile.extractionRules));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Parse and validate profile JSON
+     */
+    function parse(text) {
+        let profile;
+        try {
+            profile = JSON.parse(text);
+        } catch (e) {
+            return { profile: null, errors: [`Invalid JSON: ${e.message}`] };
+        }
+        const errors = validate(profile);
+        return { profile: errors.length === 0 ? profile : null, errors };
+    }
+
+    /**
+     * Apply a profile to the current configuration.
+     * replace: the profile's settings and rules win outright.
+     * merge: domains are added, mappings are combined (the profile wins on
+     * conflicts) and the profile's rule changes replace rules by name or are
+     * appended; nothing is removed.
+     */
+    function apply(current, profile, mode) {
+        const settings = { ...current.settings };
+        const shared = profile.settings;
+        let extractionRules = current.extractionRules;
+
+        if (mode === 'replace') {
+            for (const key of SETTINGS_KEYS) {
+                if (shared[key] !== undefined) {
+                    settings[key] = shared[key];
+                } else {
+                    delete settings[key];
+                }
+            }
+            if (profile.extractionRules) {
+                extractionRules = GHLExtractionRules.fromStorage(profile.extractionRules);
+            }
+            return { settings, extractionRules };
+        }
+
+        for (const key of SETTINGS_KEYS) {
+            if (shared[key] === undefined) continue;
+
+            if (key === 'domains') {
+                settings.domains = [...new Set([...(settings.domains || []), ...shared.domains])];
+            } else if (MAP_KEYS.includes(key)) {
+                settings[key] = { ...settings[key], ...shared[key] };
+            } else {
+                settings[key] = shared[key];
+            }
+        }
+
+        if (profile.extractionRules) {
+            extractionRules = [...extractionRules];
+            for (const rule of getChangedRules(profile.extractionRules)) {
+                const index = extractionRules.findIndex(existing => existing.name === rule.name);
+                if (index >= 0) {
+                    extractionRules[index] = rule;
+                } else {
+                    extractionRules.push(rule);
+                }
+            }
+        }
+
+        return { settings, extractionRules };
+    }
+
+    /**
+     * Short text for a setting value in the diff
+     */
+    function describe(value) {
+        return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+    }
+
+    /**
+     * List the changes between two configurations as { type, text } entries
+     * (type is "add", "remove" or "change")
+     */
+    function diff(before, after) {
+        const changes = [];
+        const add = text => changes.push({ type: 'add', text });
+        const remove = text => changes.push({ type: 'remove', text });
+        const change = text => changes.push({ type: 'change', text });
+
+        const oldDomains = before.settings.domains || [];
+        const newDomains = after.settings.domains || [];
+        newDomains.filter(domain => !oldDomains.includes(domain)).forEach(domain => add(`Domain ${domain}`));
+        oldDomains.filter(domain => !newDomains.includes(domain)).forEach(domain => remove(`Domain ${domain}`));
+
+        for (const key of MAP_KEYS) {
+            const oldMap = before.settings[key] || {};
+            const newMap = after.settings[key] || {};
+            for (const id of new Set([...Object.keys(oldMap), ...Object.keys(newMap)])) {
+                if (!(id in oldMap)) {
+                    add(`${key} ${id}: ${describe(newMap[id])}`);
+                } else if (!(id in newMap)) {
+                    remove(`${key} ${id}: ${describe(oldMap[id])}`);
+                } else if (JSON.stringify(oldMap[id]) !== JSON.stringify(newMap[id])) {
+                    change(`${key} ${id}: ${describe(oldMap[id])} → ${describe(newMap[id])}`);
+                }
+            }
+        }
+
+        for (const key of SETTINGS_KEYS) {
+            if (key === 'domains' || MAP_KEYS.includes(key)) continue;
+            const oldValue = before.settings[key];
+            const newValue = after.settings[key];
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                change(`${key}: ${describe(oldValue ?? 'default')} → ${describe(newValue ?? 'default')}`);
+            }
+        }
+
+        const oldRules = new Map(before.extractionRules.map(rule => [rule.name, rule]));
+        const newRules = new Map(after.extractionRules.map(rule => [rule.name, rule]));
+        for (const [name, rule] of newRules) {
+            if (!oldRules.has(name)) {
+                add(`Rule ${name}`);
+            } else if (JSON.stringify(oldRules.get(name)) !== JSON.stringify(rule)) {
+                change(`Rule ${name}`);
+            }
+        }
+        for (const name of oldRules.keys()) {
+            if (!newRules.has(name)) remove(`Rule ${name}`);
+        }
+
+        return changes;
+    }
+
+    globalThis.GHLSettingsProfile = {
+        FORMAT,
+        VERSION,
+        create,
+        validate,
+        parse,
+        apply,
+        diff
+    };
+})();
@@ -0,0 +1,103 @@
+/**
+ * GHL Tab Title - Title Template Engine
+ * Shared by the content script and the popup preview (requires domain-patterns.js)
+ */
+
+(function () {
+    'use strict';
+
+    // Prevent multiple injections
+    if (globalThis.GHLTitleTemplate) return;
+
+    const DEFAULT_TEMPLATE = '{context} · {module} | {brand}';
+
+    const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+    // Separators left dangling or doubled when a token renders empty
+    const LEADING_SEPARATORS = /^[\s|·•›:\-–—]+/;
+    const TRAILING_SEPARATORS = /[\s|·•›:\-–—]+$/;
+
+    /**
+     * Shorten a value to a maximum length
+     */
+    function truncate(value, maxLength) {
+        if (!maxLength || value.length <= maxLength) return value;
+        return value.substring(0, Math.max(maxLength - 1, 0)).trimEnd() + '…';
+    }
+
+    /**
+     * Render a template string such as "{context:30} | {brand}"
+     * Unknown tokens are left as-is, empty tokens render as nothing along with
+     * one of the separators around them (both at the start or end of the title)
+     */
+    function render(template, values) {
+        const source = template || DEFAULT_TEMPLATE;
+        const literals = [];
+        const tokens = [];
+        let index = 0;
+
+        for (const match of source.matchAll(TOKEN_PATTERN)) {
+            const [token, name, maxLength] = match;
+            literals.push(source.slice(index, match.index));
+            if (name in values) {
+                const value = values[name] == null ? '' : String(values[name]).trim();
+                tokens.push(truncate(value, Number(maxLength)));
+            } else {
+                tokens.push(token);
+            }
+            index = match.index + token.length;
+        }
+        literals.push(source.slice(index));
+
+        // Fold each empty token's surrounding text into the literal after it
+        let output = '';
+        for (let i = 0; i < tokens.length; i++) {
+            if (tokens[i]) {
+                output += literals[i] + tokens[i];
+                continue;
+            }
+
+            const before = literals[i];
+            const after = literals[i + 1];
+            const beforeText = before.replace(TRAILING_SEPARATORS, '');
+            const afterText = after.replace(LEADING_SEPARATORS, '');
+
+            if (!(output + beforeText).replace(LEADING_SEPARATORS, '')) {
+                // Nothing before it: drop the separators on both sides
+                literals[i + 1] = beforeText + afterText;
+            } else {
+                const beforeSeparator = before.slice(beforeText.length);
+                const afterSeparator = after.slice(0, after.length - afterText.length);
+                const separator = beforeSeparator.trim() ? beforeSeparator : afterSeparator;
+                literals[i + 1] = beforeText + separator + afterText;
+            }
+        }
+
+        // Nothing after the last empty token: drop its dangling separator
+        let ending = literals[tokens.length];
+        if (tokens.length > 0 && !tokens[tokens.length - 1] && !ending.replace(TRAILING_SEPARATORS, '')) {
+            ending = '';
+        }
+
+        return (output + ending).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Pick the template for a URL from per-domain-pattern overrides
+     */
+    function resolve(settings, url) {
+        const templates = settings?.templates || {};
+
+        const domain = Object.keys(templates)
+            .filter(pattern => GHLDomainPatterns.matchesPattern(url, pattern))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return (domain && templates[domain]) || settings?.titleTemplate || DEFAULT_TEMPLATE;
+    }
+
+    globalThis.GHLTitleTemplate = {
+        DEFAULT_TEMPLATE,
+        render,
+        resolve
+    };
+})();